@@ -22,6 +22,10 @@
  * @external Array
  * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array
  */
+/**
+ * @external Date
+ * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date
+ */
 /**
  * @external Error
  * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error
@@ -129,7 +133,9 @@
  *
  * @callback HelpHandler
  * @param {Args} args Argument {@link external:Object} containing the following:
- *     - command - The command name.
+ *     - command - The rest of the help command's input. Usually a command
+ *       name, or a path of subcommand names like `git remote`. The default
+ *       handlers also take a category name and/or a page number.
  * @param {Map<Command>} commands The `CommandRegistry`'s Map of commands.
  * @param {?any[]} ...forward Arbitrary additional values passed into
  *     {@link CommandRegistry.execute}.
@@ -148,7 +154,13 @@
  * preprocessing to an argument.
  *
  * @callback Preprocessor
- * @param {String} value The string representation of an argument.
+ * @param {String|String[]} value The string representation of an argument,
+ *     or an Array of them for tuple arguments (see {@link Argument#tuple}).
+ * @param {?Token|Token[]} token The {@link Token} the value came from, if any.
+ *     This can be used to get extra info, like the language of a code block
+ *     (see {@link Command.tokenize}).
+ * @param {PreprocessorContext} context The other arguments parsed so far,
+ *     and the values forwarded to {@link Command#execute}.
  * @throws {any} Anything the user code wants to throw. This value will be
  *     captured and re-thrown as a {@link CommandError}.
  * @return {any} The final value returned from {@link Argument.parse}.
@@ -157,8 +169,122 @@
  *     if (!Number.isInteger(val)) throw new Error('not a number!');
  *     return Number.parseInt(val);
  * }
+ * @example
+ * function requireJavaScript(value, token) {
+ *     if (!token || token.lang !== 'js') throw new Error('not a js code block!');
+ * }
+ * @example
+ * function afterStart(value, token, context) {
+ *     if (Number(value) < context.args.start) throw new Error('before start!');
+ * }
+ */
+/**
+ * Extra information given to a {@link Preprocessor} about where its value
+ * came from. When an {@link Argument} is parsed on its own, `args` is empty
+ * and `index` is `0`.
+ *
+ * @typedef PreprocessorContext
+ * @property {Args} args The arguments before this one that have already been
+ *     parsed by the {@link Command}, excluding any that failed.
+ * @property {Number} index This argument's position in its argument set.
+ * @property {any[]} forward The arbitrary values forwarded to
+ *     {@link Command#execute} (or {@link Argument#parse}).
+ * @example
+ * // For "range 5 10", when parsing <end>
+ * { args: { _: ['5', '10'], start: 5 }, index: 1, forward: [message] }
+ */
+/**
+ * A single token split from a command string, along with where in that string
+ * it came from. Used to point errors back at the original input.
+ *
+ * @typedef Token
+ * @property {external:String} value The token text, with any quotes and
+ *     escapes resolved.
+ * @property {Number} start Index of the token's first character in `input`.
+ * @property {Number} end Index just past the token's last character in
+ *     `input`.
+ * @property {external:String} input The full command string the token was
+ *     split from.
+ * @property {?external:String} lang The language of a fenced code block. Only
+ *     present on code block tokens (see {@link Command.tokenize}).
+ * @example
+ * { value: 'hello world', start: 4, end: 17, input: 'say "hello world"' }
+ */
+/**
+ * A function a {@link Command} or {@link CommandRegistry} can optionally use to
+ * split command strings into tokens, instead of {@link Command.tokenize}.
+ * Returning {@link Token}s instead of plain strings allows errors to highlight
+ * the offending part of the input (see {@link CommandError#highlight}).
+ *
+ * @callback Tokenizer
+ * @param {external:String} string The command string to split.
+ * @throws {any} Anything the user code wants to throw. This value will be
+ *     captured and re-thrown as a {@link CommandError}.
+ * @return {external:String[]|Token[]} {@link external:Array} of command tokens.
+ * @return {Promise<external:String[]|Token[]>} In async mode.
+ * @example
+ * // Splits on commas instead of whitespace
+ * function commaTokenizer(string) {
+ *     return string.split(',').map(token => token.trim());
+ * }
+ */
+/**
+ * Settings for how {@link Argument#usage}, {@link Command#usage}, and help
+ * text write out arguments. Any setting left out uses its default.
+ *
+ * @typedef UsageStyle
+ * @property {?external:String[]} required Opening and closing brackets for
+ *     required arguments. Defaults to `['<', '>']`.
+ * @property {?external:String[]} optional Opening and closing brackets for
+ *     optional arguments. Defaults to `['[', ']']`.
+ * @property {?external:String} varargs How to write varargs arguments. Either
+ *     `'numbered'` for `<name_1> [name_2] ... [name_n]` (the default), or
+ *     `'ellipsis'` for `<name>...`.
+ * @property {?external:String} separator Text between the command name and
+ *     each argument. Defaults to `' '`.
+ * @property {?Boolean} uppercase `true` to write argument names in uppercase.
+ *     Defaults to `false`.
+ * @example
+ * // cp SRC... DEST
+ * { required: ['', ''], varargs: 'ellipsis', uppercase: true }
+ * @example
+ * // get {key} default?
+ * { required: ['{', '}'], optional: ['', '?'] }
+ */
+/**
+ * A function a {@link Command} calls to check the parsed arguments as a whole,
+ * after parsing and before the {@link Handler}. Useful for rules involving
+ * more than one argument.
+ *
+ * @callback Validator
+ * @param {Args} args The {@link external:Object} of parsed arguments.
+ * @param {?any[]} ...forward Arbitrary additional values.
+ * @throws {any} Anything the user code wants to throw, to reject the
+ *     arguments. This value will be captured and re-thrown as a
+ *     {@link CommandError}.
+ * @return {Promise} In async mode, rejecting to reject the arguments.
+ * @example
+ * function minBelowMax(args) {
+ *     if (args.min >= args.max) throw new Error('min must be less than max');
+ * }
  */
 
+// Lets a Command give its Arguments extra parse context (see
+// PreprocessorContext) without adding anything to the public API.
+const parseInSet = Symbol('parseInSet');
+
+// Marks the Token holding the untokenized end of the input after a Tokenizer
+// error, storing the error. Only a rest Argument can take that Token.
+const rawTail = Symbol('rawTail');
+
+// Links a Command to the CommandRegistry it was added to, and a CommandRegistry
+// to the Command it is mounted in, so a Command can find its full path.
+const parentKey = Symbol('parent');
+
+// Gives an Argument the UsageStyle of the Command it was added to, so its error
+// messages name it the same way the usage does.
+const styleKey = Symbol('usageStyle');
+
 /**
  * A single positional argument. These are intended to be nested within
  * {@link Command} objects, but can also be used standalone.
@@ -167,8 +293,13 @@
  * validation or preprocessing applied. All of these defaults can be modified.
  * - {@link Preprocessor}s can validate and modify the argument.
  * - An `Argument` can be optional, preventing {@link CommandError}s from being
- *   thrown for missing values.
+ *   thrown for missing values. Optional `Argument`s can have default values.
  * - Variable arguments (varargs) can be enabled to take in multiple values.
+ * - Rest mode can be enabled to take in the rest of the input as-is.
+ * - Built-in typed arguments (like {@link Argument.int}) parse common kinds of
+ *   values, with consistent error messages.
+ * - Union arguments (see {@link Argument.union}) accept several kinds of
+ *   values.
  *
  * @example
  * function coerceToNumber(val) {
@@ -188,11 +319,379 @@
  */
 class Argument {
 
+	/**
+	 * Creates a new `Argument` that parses boolean values. Accepts `true`,
+	 * `yes`, `y`, `on`, and `1` for `true`, and `false`, `no`, `n`, `off`, and
+	 * `0` for `false`, ignoring case.
+	 *
+	 * @category factory
+	 * @param {external:String} name The name for this `Argument`.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @return {Argument} A new `Argument` of type `bool`.
+	 */
+	static boolean(name) {
+		return new Argument(name)
+			.#typed('bool', value => {
+				const lower = value.toLowerCase();
+				if (['true', 'yes', 'y', 'on', '1'].includes(lower)) {
+					return true;
+				}
+				if (['false', 'no', 'n', 'off', '0'].includes(lower)) {
+					return false;
+				}
+				throw new TypeError('not a boolean (e.g. true, false, yes, no)');
+			});
+	}
+
+	/**
+	 * Creates a new `Argument` that parses ISO 8601 dates, like `2021-06-30`
+	 * or `2021-06-30T12:00:00Z`, into {@link external:Date}s. Can be limited
+	 * with {@link Argument#min} and {@link Argument#max}.
+	 *
+	 * @category factory
+	 * @param {external:String} name The name for this `Argument`.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @return {Argument} A new `Argument` of type `date`.
+	 */
+	static date(name) {
+		const iso8601 = new RegExp('^\\d{4}-\\d{2}-\\d{2}' +
+			'(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?$'
+		);
+
+		// Date rolls impossible days over (e.g. 2021-02-30 to 2021-03-02), so
+		// check the calendar date on its own.
+		const isRealDay = value => {
+			const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+			const date = new Date(Date.UTC(year, month - 1, day));
+			return date.getUTCFullYear() === year &&
+				date.getUTCMonth() === month - 1 &&
+				date.getUTCDate() === day;
+		};
+
+		return new Argument(name)
+			.#typed('date', value => {
+				const date = new Date(value);
+				if (!iso8601.test(value) || Number.isNaN(date.getTime()) ||
+					!isRealDay(value)
+				) {
+					throw new TypeError('not an ISO 8601 date (e.g. 2021-06-30)');
+				}
+				return date;
+			});
+	}
+
+	/**
+	 * Creates a new `Argument` that parses durations like `1h30m` into a
+	 * number of milliseconds. Supported units are `w`, `d`, `h`, `m`, `s`,
+	 * and `ms`. Can be limited with {@link Argument#min} and
+	 * {@link Argument#max} (also in milliseconds).
+	 *
+	 * @category factory
+	 * @param {external:String} name The name for this `Argument`.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @return {Argument} A new `Argument` of type `duration`.
+	 */
+	static duration(name) {
+		const units = {
+			w:  7 * 24 * 60 * 60 * 1000,
+			d:  24 * 60 * 60 * 1000,
+			h:  60 * 60 * 1000,
+			m:  60 * 1000,
+			s:  1000,
+			ms: 1,
+		};
+		const part = '(\\d+(?:\\.\\d+)?)(ms|w|d|h|m|s)';
+
+		return new Argument(name)
+			.#typed('duration', value => {
+				if (!new RegExp(`^(${part})+$`).test(value)) {
+					throw new TypeError('not a duration (e.g. 1h30m)');
+				}
+
+				let total = 0;
+				for (const match of value.matchAll(new RegExp(part, 'g'))) {
+					total += Number.parseFloat(match[1]) * units[match[2]];
+				}
+				return total;
+			});
+	}
+
+	/**
+	 * Creates a new `Argument` that only accepts one of the given values.
+	 *
+	 * @category factory
+	 * @param {external:String} name The name for this `Argument`.
+	 * @param {external:String[]} values The values this `Argument` accepts.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @throws {SetupError} for empty or non-Array-of-String values.
+	 * @return {Argument} A new `Argument` with the values as its type.
+	 */
+	static enum(name, values) {
+		if (!Array.isArray(values) || values.length === 0 ||
+			!values.every(isString)
+		) {
+			throw new SetupError("values must be a non-empty 'Array<string>'");
+		}
+
+		return new Argument(name)
+			.#typed(values.join('|'), value => {
+				if (!values.includes(value)) {
+					throw new RangeError(`must be one of: ${values.join(', ')}`);
+				}
+			});
+	}
+
+	/**
+	 * Creates a new `Argument` that parses decimal numbers. Can be limited with
+	 * {@link Argument#min} and {@link Argument#max}.
+	 *
+	 * @category factory
+	 * @param {external:String} name The name for this `Argument`.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @return {Argument} A new `Argument` of type `float`.
+	 */
+	static float(name) {
+		return new Argument(name)
+			.#typed('float', value => {
+				if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value)) {
+					throw new TypeError('not a number');
+				}
+				const num = Number.parseFloat(value);
+				if (!Number.isFinite(num)) {
+					throw new RangeError('number is too large');
+				}
+				return num;
+			});
+	}
+
+	/**
+	 * Creates a new `Argument` that parses whole numbers. Can be limited with
+	 * {@link Argument#min} and {@link Argument#max}. Numbers outside the range
+	 * JavaScript can represent exactly (see `Number.isSafeInteger`) are
+	 * rejected.
+	 *
+	 * @category factory
+	 * @param {external:String} name The name for this `Argument`.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @return {Argument} A new `Argument` of type `int`.
+	 * @example
+	 * const arg = Argument.int('count').min(1).max(100);
+	 * arg.parse('12');  // 12
+	 * arg.parse('0');   // CommandError: "Bad <count> value '0': must be at least 1"
+	 * arg.parse('1.5'); // CommandError: "Bad <count> value '1.5': not an integer"
+	 */
+	static int(name) {
+		return new Argument(name)
+			.#typed('int', value => {
+				if (!/^[-+]?\d+$/.test(value)) {
+					throw new TypeError('not an integer');
+				}
+				const num = Number.parseInt(value, 10);
+				if (!Number.isSafeInteger(num)) {
+					throw new RangeError('integer is too large to be exact');
+				}
+				return num;
+			});
+	}
+
+	/**
+	 * Creates a new `Argument` that parses JSON.
+	 *
+	 * @category factory
+	 * @param {external:String} name The name for this `Argument`.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @return {Argument} A new `Argument` of type `json`.
+	 */
+	static json(name) {
+		return new Argument(name)
+			.#typed('json', value => {
+				try {
+					return JSON.parse(value);
+				} catch (err) {
+					throw new SyntaxError(`not valid JSON (${err.message})`);
+				}
+			});
+	}
+
+	/**
+	 * Creates a new literal `Argument` that only matches the given word (see
+	 * {@link Argument#literal}).
+	 *
+	 * @category factory
+	 * @param {external:String} word The word to match, which is also the name
+	 *     for this `Argument`.
+	 * @throws {SetupError} for non-String or empty String words.
+	 * @return {Argument} A new literal `Argument`.
+	 * @example
+	 * const cmd = new Command('config')
+	 *     .addArgSet([ Argument.literal('get'), new Argument('key') ])
+	 *     .addArgSet([
+	 *         Argument.literal('set'),
+	 *         new Argument('key'),
+	 *         new Argument('value'),
+	 *     ]);
+	 * cmd.usage(); // "config get <key>\nconfig set <key> <value>"
+	 */
+	static literal(word) {
+		return new Argument(word).literal(true);
+	}
+
+	/**
+	 * Creates a new `Argument` that accepts any of several kinds of values.
+	 * Each alternative is an `Argument`, and they're tried in order using
+	 * their preprocessors (and limits, like {@link Argument#min}). The first
+	 * one that succeeds is used, and the result says which one it was. If
+	 * none succeed, the error lists why each alternative was rejected.
+	 *
+	 * The alternatives are only used for parsing. Their names are shown as
+	 * this `Argument`'s type in the usage text, and identify which one
+	 * matched. They always have the same async setting as this `Argument`
+	 * (see {@link Argument#asynchronous}), which follows its {@link Command}.
+	 *
+	 * @category factory
+	 * @param {external:String} name The name for this `Argument`.
+	 * @param {Argument[]} alternatives The kinds of values to try, in order.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @throws {SetupError} for empty or non-Array-of-Argument alternatives.
+	 * @return {Argument} A new `Argument` that parses to an
+	 *     {@link external:Object} with the `alternative` name that matched and
+	 *     its parsed `value`.
+	 * @example
+	 * const arg = Argument.union('target', [
+	 *     Argument.int('id'),
+	 *     new Argument('mention').preprocess(value => {
+	 *         if (!/^<@\d+>$/.test(value)) throw new Error('not a mention');
+	 *     }),
+	 * ]);
+	 * arg.usage();        // "<target:id|mention>"
+	 * arg.parse('1234');  // { alternative: 'id', value: 1234 }
+	 * arg.parse('<@12>'); // { alternative: 'mention', value: '<@12>' }
+	 * arg.parse('bob');   // CommandError: "Bad <target> value 'bob': matched
+	 *                     //   none of: id (not an integer), mention (not a mention)"
+	 */
+	static union(name, alternatives) {
+		if (!Array.isArray(alternatives) || alternatives.length === 0 ||
+			!alternatives.every(alt => alt instanceof Argument)
+		) {
+			throw new SetupError(
+				"alternatives must be a non-empty 'Array<Argument>'"
+			);
+		}
+
+		// Prefer the reason from the preprocessor over our own wrapper message
+		const reasonOf = err => (err && err.nested instanceof Error)
+			? err.nested.message
+			: (err && err.message) || `${err}`;
+
+		const type_name = alternatives.map(alt => alt.name).join('|');
+		const arg = new Argument(name)
+			.#typed(type_name, (value, token, context) => {
+				const failures = [];
+
+				// Alternatives can return Promises for async preprocessors, so
+				// only move on to the next one once the last one has failed.
+				const tryFrom = index => {
+					if (index >= alternatives.length) {
+						throw new TypeError(
+							`matched none of: ${failures.join(', ')}`
+						);
+					}
+
+					const alt = alternatives[index];
+					const matched = val => ({ alternative: alt.name, value: val });
+					const rejected = err => {
+						failures.push(`${alt.name} (${reasonOf(err)})`);
+						return tryFrom(index + 1);
+					};
+
+					try {
+						const result = alt[parseInSet](token || value, context);
+						return (result instanceof Promise)
+							? result.then(matched, rejected)
+							: matched(result);
+					} catch (err) {
+						return rejected(err);
+					}
+				};
+
+				return tryFrom(0);
+			});
+
+		arg.#alternatives = alternatives;
+		return arg.asynchronous(arg.is_async); // Apply to the alternatives
+	}
+
+	/**
+	 * Creates a new `Argument` that parses absolute URLs into `URL` objects.
+	 *
+	 * @category factory
+	 * @param {external:String} name The name for this `Argument`.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @return {Argument} A new `Argument` of type `url`.
+	 */
+	static url(name) {
+		return new Argument(name)
+			.#typed('url', value => {
+				try {
+					return new URL(value);
+				} catch (err) {
+					throw new TypeError('not a valid URL');
+				}
+			});
+	}
+
+	#alternatives = null;
+	#default = null;
+	#desc = null;
 	#is_async = false;
+	#is_ignore_case = false;
+	#is_literal = false;
 	#is_optional = false;
+	#is_rest = false;
 	#is_varargs = false;
+	#max = null;
+	#max_count = null;
+	#min = null;
+	#min_count = null;
 	#name;
+	#parser = null;
 	#preprocessor = null;
+	#tuple_names = null;
+	#type_name = null;
+
+	/**
+	 * Directly get and set the default value for this `Argument`. Setting this
+	 * has the same effect as calling {@link Argument#default}.
+	 *
+	 * @category accessor
+	 * @see {@link Argument#default}
+	 * @default null
+	 */
+	set default_value(value) {
+		this.#default = value;
+	}
+	get default_value() {
+		return this.#default;
+	}
+
+	/**
+	 * Directly get and set the description for this `Argument`. Setting this
+	 * has the same effect as calling {@link Argument#description}.
+	 *
+	 * @category accessor
+	 * @see {@link Argument#description}
+	 * @default null
+	 */
+	set desc(string) {
+		if (!isString(string)) {
+			throw new SetupError(`desc was ${type(string)}, expected [object String]`);
+		}
+
+		this.#desc = string;
+	}
+	get desc() {
+		return this.#desc;
+	}
 
 	/**
 	 * Directly get and set async mode for this `Argument`. Setting this has the
@@ -210,11 +709,56 @@ class Argument {
 		}
 
 		this.#is_async = enabled;
+		if (this.#alternatives) {
+			this.#alternatives.forEach(alt => alt.asynchronous(enabled));
+		}
 	}
 	get is_async() {
 		return this.#is_async;
 	}
 
+	/**
+	 * Directly get and set whether or not this literal `Argument` ignores case.
+	 * Setting this has the same effect as calling {@link Argument#ignoreCase}.
+	 *
+	 * @category accessor
+	 * @see {@link Argument#ignoreCase}
+	 * @default false
+	 */
+	set is_ignore_case(enabled) {
+		if (!isBoolean(enabled)) {
+			throw new SetupError(
+				`is_ignore_case was ${type(enabled)}, expected [object Boolean]`
+			);
+		}
+
+		this.#is_ignore_case = enabled;
+	}
+	get is_ignore_case() {
+		return this.#is_ignore_case;
+	}
+
+	/**
+	 * Directly get and set whether or not this `Argument` is a literal.
+	 * Setting this has the same effect as calling {@link Argument#literal}.
+	 *
+	 * @category accessor
+	 * @see {@link Argument#literal}
+	 * @default false
+	 */
+	set is_literal(enabled) {
+		if (!isBoolean(enabled)) {
+			throw new SetupError(
+				`is_literal was ${type(enabled)}, expected [object Boolean]`
+			);
+		}
+
+		this.#is_literal = enabled;
+	}
+	get is_literal() {
+		return this.#is_literal;
+	}
+
 	/**
 	 * Directly get and set whether or not this `Argument` is optional. Setting
 	 * this has the same effect as calling {@link Argument#optional}.
@@ -236,6 +780,33 @@ class Argument {
 		return this.#is_optional;
 	}
 
+	/**
+	 * Directly get and set whether or not this `Argument` is a rest argument.
+	 * Setting this has the same effect as calling {@link Argument#rest}.
+	 *
+	 * @category accessor
+	 * @see {@link Argument#rest}
+	 * @default false
+	 */
+	set is_rest(enabled) {
+		if (!isBoolean(enabled)) {
+			throw new SetupError(
+				`is_rest was ${type(enabled)}, expected [object Boolean]`
+			);
+		}
+		if (enabled && this.is_varargs) {
+			throw new SetupError('Argument cannot be both rest and varargs');
+		}
+		if (enabled && this.tuple_names) {
+			throw new SetupError('Argument cannot be both rest and tuple');
+		}
+
+		this.#is_rest = enabled;
+	}
+	get is_rest() {
+		return this.#is_rest;
+	}
+
 	/**
 	 * Directly get and set whether or not this `Argument` is a varargs argument.
 	 * Setting this has the same effect as calling {@link Argument#varargs}.
@@ -250,6 +821,12 @@ class Argument {
 				`is_varargs was ${type(enabled)}, expected [object Boolean]`
 			);
 		}
+		if (enabled && this.is_rest) {
+			throw new SetupError('Argument cannot be both rest and varargs');
+		}
+		if (enabled && this.tuple_names) {
+			throw new SetupError('Argument cannot be both tuple and varargs');
+		}
 
 		this.#is_varargs = enabled;
 	}
@@ -258,61 +835,210 @@ class Argument {
 	}
 
 	/**
-	 * Directly get and set the name for this `Argument`. Setting this has the
-	 * same effect as calling {@link #new_Argument_new|new Argument()}.
+	 * Directly get and set the maximum number of values for this varargs
+	 * `Argument`. Setting this has the same effect as calling
+	 * {@link Argument#maxCount}.
 	 *
 	 * @category accessor
-	 * @see {@link #new_Argument_new|new Argument()}
+	 * @see {@link Argument#maxCount}
+	 * @default null
 	 */
-	set name(name) {
-		if (!isString(name)) {
-			throw new SetupError(`name was ${type(name)}, expected [object String]`);
+	set max_count(count) {
+		if (!isNumber(count)) {
+			throw new SetupError(
+				`max_count was ${type(count)}, expected [object Number]`
+			);
 		}
-		if (!name) {
-			throw new SetupError('name was empty string');
+		if (!Number.isInteger(count) || count < 1) {
+			throw new SetupError('max_count must be a positive integer');
+		}
+		if (this.min_count != null && count < this.min_count) {
+			throw new SetupError('max_count cannot be less than min_count');
 		}
 
-		this.#name = name;
+		this.#max_count = count;
 	}
-	get name() {
-		return this.#name;
+	get max_count() {
+		return this.#max_count;
 	}
 
 	/**
-	 * Directly get and set the {@link Preprocessor} function for this
-	 * `Argument`. Setting this has the same effect as calling
-	 * {@link Argument#preprocess}.
+	 * Directly get and set the maximum value for this `Argument`. Setting this
+	 * has the same effect as calling {@link Argument#max}.
 	 *
 	 * @category accessor
-	 * @see {@link Argument#preprocess}
+	 * @see {@link Argument#max}
 	 * @default null
 	 */
-	set preprocessor(func) {
-		if (!isFunction(func) && !isAsyncFunction(func)) {
-			throw new SetupError(`preprocessor was ${type(func)}, ` +
-				'expected [object Function] or [object AsyncFunction]'
+	set max_value(value) {
+		if (!isNumber(value) && !isDate(value)) {
+			throw new SetupError(
+				`max was ${type(value)}, expected [object Number] or [object Date]`
 			);
 		}
 
-		this.#preprocessor = func;
+		this.#max = value;
 	}
-	get preprocessor() {
-		return this.#preprocessor;
+	get max_value() {
+		return this.#max;
 	}
 
 	/**
-	 * Creates a new `Argument` with the given name. This name is used in the
-	 * usage text (see {@link Argument#usage}).
+	 * Directly get and set the minimum number of values for this varargs
+	 * `Argument`. Setting this has the same effect as calling
+	 * {@link Argument#minCount}.
 	 *
-	 * @param {external:String} name The name for this `Argument`.
-	 * @throws {SetupError} for non-String or empty String names.
+	 * @category accessor
+	 * @see {@link Argument#minCount}
+	 * @default null
 	 */
-	constructor(name) {
-		this.name = name;
+	set min_count(count) {
+		if (!isNumber(count)) {
+			throw new SetupError(
+				`min_count was ${type(count)}, expected [object Number]`
+			);
+		}
+		if (!Number.isInteger(count) || count < 0) {
+			throw new SetupError('min_count must be a non-negative integer');
+		}
+		if (this.max_count != null && count > this.max_count) {
+			throw new SetupError('min_count cannot be greater than max_count');
+		}
+
+		this.#min_count = count;
+	}
+	get min_count() {
+		return this.#min_count;
 	}
 
 	/**
-	 * Enables or disables async mode. In async mode, {@link Argument#parse}
+	 * Directly get and set the minimum value for this `Argument`. Setting this
+	 * has the same effect as calling {@link Argument#min}.
+	 *
+	 * @category accessor
+	 * @see {@link Argument#min}
+	 * @default null
+	 */
+	set min_value(value) {
+		if (!isNumber(value) && !isDate(value)) {
+			throw new SetupError(
+				`min was ${type(value)}, expected [object Number] or [object Date]`
+			);
+		}
+
+		this.#min = value;
+	}
+	get min_value() {
+		return this.#min;
+	}
+
+	/**
+	 * Directly get and set the name for this `Argument`. Setting this has the
+	 * same effect as calling {@link #new_Argument_new|new Argument()}.
+	 *
+	 * @category accessor
+	 * @see {@link #new_Argument_new|new Argument()}
+	 */
+	set name(name) {
+		if (!isString(name)) {
+			throw new SetupError(`name was ${type(name)}, expected [object String]`);
+		}
+		if (!name) {
+			throw new SetupError('name was empty string');
+		}
+
+		this.#name = name;
+	}
+	get name() {
+		return this.#name;
+	}
+
+	/**
+	 * Directly get and set the {@link Preprocessor} function for this
+	 * `Argument`. Setting this has the same effect as calling
+	 * {@link Argument#preprocess}.
+	 *
+	 * @category accessor
+	 * @see {@link Argument#preprocess}
+	 * @default null
+	 */
+	set preprocessor(func) {
+		if (!isFunction(func) && !isAsyncFunction(func)) {
+			throw new SetupError(`preprocessor was ${type(func)}, ` +
+				'expected [object Function] or [object AsyncFunction]'
+			);
+		}
+
+		this.#preprocessor = func;
+	}
+	get preprocessor() {
+		return this.#preprocessor;
+	}
+
+	/**
+	 * Directly get and set the names of the values in this tuple `Argument`.
+	 * Setting this has the same effect as calling {@link Argument#tuple}.
+	 *
+	 * @category accessor
+	 * @see {@link Argument#tuple}
+	 * @default null
+	 */
+	set tuple_names(names) {
+		if (!Array.isArray(names) || names.length < 2 ||
+			!names.every(name => isString(name) && name)
+		) {
+			throw new SetupError(
+				"tuple names must be an 'Array<string>' with at least 2 names"
+			);
+		}
+		if (this.is_varargs) {
+			throw new SetupError('Argument cannot be both tuple and varargs');
+		}
+		if (this.is_rest) {
+			throw new SetupError('Argument cannot be both rest and tuple');
+		}
+
+		this.#tuple_names = names.slice();
+	}
+	get tuple_names() {
+		return this.#tuple_names;
+	}
+
+	/**
+	 * Directly get and set the type name for this `Argument`. Setting this has
+	 * the same effect as calling {@link Argument#type}.
+	 *
+	 * @category accessor
+	 * @see {@link Argument#type}
+	 * @default null
+	 */
+	set type_name(name) {
+		if (!isString(name)) {
+			throw new SetupError(`type was ${type(name)}, expected [object String]`);
+		}
+		if (!name) {
+			throw new SetupError('type was empty string');
+		}
+
+		this.#type_name = name;
+	}
+	get type_name() {
+		return this.#type_name;
+	}
+
+	/**
+	 * Creates a new `Argument` with the given name. This name is used in the
+	 * usage text (see {@link Argument#usage}).
+	 *
+	 * @param {external:String} name The name for this `Argument`.
+	 * @throws {SetupError} for non-String or empty String names.
+	 */
+	constructor(name) {
+		this.name = name;
+	}
+
+	/**
+	 * Enables or disables async mode. In async mode, {@link Argument#parse}
 	 * returns a {@link external:Promise} that fulfills based on parse
 	 * execution, instead of returning or throwing. This setting only applies
 	 * to this `Argument`.
@@ -331,11 +1057,166 @@ class Argument {
 		return this;
 	}
 
+	/**
+	 * Sets a default value for this `Argument`, used in place of `null` when
+	 * an optional `Argument` is not given a value. The default is used as-is,
+	 * so it is not passed through the preprocessor or a type's parser (see
+	 * {@link Argument.int} and friends), and it is not checked against
+	 * {@link Argument#min} or {@link Argument#max}. In varargs mode, the
+	 * default is wrapped in an {@link external:Array} if it isn't one already.
+	 *
+	 * The default can also be a function, which is called each time a default
+	 * value is needed. It is given the same arbitrary values forwarded to
+	 * {@link Command#execute} (or {@link Argument#parse}), and may be async in
+	 * async mode. Outside async mode, a function returning a Promise fails
+	 * parsing. This means a function can't be used as a default value
+	 * directly, but a function returning a function can.
+	 *
+	 * **NOTE** default values are only used for optional `Argument`s (see
+	 * {@link Argument#optional}).
+	 *
+	 * @category builder
+	 * @param {any|function} value The default value, or a function that
+	 *     returns the default value.
+	 * @return {Argument} instance so we can chain calls.
+	 * @example
+	 * const arg = new Argument('channel')
+	 *     .optional(true)
+	 *     .default((message) => message.channel.id);
+	 */
+	default(value) {
+		this.default_value = value;
+		return this;
+	}
+
+	/**
+	 * Sets the description text for this `Argument`, which is shown in the
+	 * detailed help for a {@link Command} (see {@link Command#help}).
+	 *
+	 * @category builder
+	 * @param {external:String} desc The description text.
+	 * @throws {SetupError} for non-String values.
+	 * @return {Argument} instance so we can chain calls.
+	 */
+	description(desc) {
+		this.desc = desc;
+		return this;
+	}
+
+	/**
+	 * Makes this literal `Argument` match its word regardless of case (see
+	 * {@link Argument#literal}). This has no effect on other `Argument`s.
+	 *
+	 * @category builder
+	 * @param {Boolean} enabled `true` to ignore case, `false` to match exactly.
+	 * @throws {SetupError} for non-Boolean values.
+	 * @return {Argument} instance so we can chain calls.
+	 */
+	ignoreCase(enabled) {
+		this.is_ignore_case = enabled;
+		return this;
+	}
+
+	/**
+	 * Enables or disables literal mode for this `Argument`. A literal
+	 * `Argument` only matches its own name, like the `set` in
+	 * `config set <key> <value>`, and {@link Argument#parse} throws for
+	 * anything else. Literals are shown as-is in the usage text, and
+	 * {@link Command}s don't store them in the parsed {@link Args}.
+	 *
+	 * Since a literal fails to parse for any other word, it can be used to
+	 * pick between argument sets of the same length (see
+	 * {@link Command#addArgSet}). Literals are checked before any other
+	 * argument in a set, so preprocessors in the wrong set never run.
+	 *
+	 * A literal `Argument` ignores its preprocessor, default value, and the
+	 * varargs, rest, and tuple modes.
+	 *
+	 * @category builder
+	 * @param {Boolean} enabled `true` for enabled, `false` for disabled.
+	 * @throws {SetupError} for non-Boolean values.
+	 * @return {Argument} instance so we can chain calls.
+	 * @see {@link Argument.literal}
+	 */
+	literal(enabled) {
+		this.is_literal = enabled;
+		return this;
+	}
+
+	/**
+	 * Sets the largest value this `Argument` accepts. This is checked against
+	 * the value returned from the preprocessor, so it's most useful with
+	 * number and date types, like {@link Argument.int}.
+	 *
+	 * @category builder
+	 * @param {Number|external:Date} value The maximum allowed value.
+	 * @throws {SetupError} for non-Number and non-Date values.
+	 * @return {Argument} instance so we can chain calls.
+	 */
+	max(value) {
+		this.max_value = value;
+		return this;
+	}
+
+	/**
+	 * Sets the largest number of values this varargs `Argument` accepts (see
+	 * {@link Argument#varargs}). This has no effect on other `Argument`s.
+	 *
+	 * @category builder
+	 * @param {Number} count The maximum number of values.
+	 * @throws {SetupError} for non-Number values.
+	 * @throws {SetupError} for counts that are not positive integers.
+	 * @throws {SetupError} if the count is less than the minimum count.
+	 * @return {Argument} instance so we can chain calls.
+	 * @example
+	 * const arg = new Argument('files')
+	 *     .varargs(true)
+	 *     .maxCount(5);
+	 * arg.usage(); // "<files_1> ... [files_5]"
+	 */
+	maxCount(count) {
+		this.max_count = count;
+		return this;
+	}
+
+	/**
+	 * Sets the smallest value this `Argument` accepts. This is checked against
+	 * the value returned from the preprocessor, so it's most useful with
+	 * number and date types, like {@link Argument.int}.
+	 *
+	 * @category builder
+	 * @param {Number|external:Date} value The minimum allowed value.
+	 * @throws {SetupError} for non-Number and non-Date values.
+	 * @return {Argument} instance so we can chain calls.
+	 */
+	min(value) {
+		this.min_value = value;
+		return this;
+	}
+
+	/**
+	 * Sets the smallest number of values this varargs `Argument` accepts (see
+	 * {@link Argument#varargs}). This has no effect on other `Argument`s.
+	 * An optional varargs `Argument` can still be given no values at all, but
+	 * needs at least this many if it is given any.
+	 *
+	 * @category builder
+	 * @param {Number} count The minimum number of values.
+	 * @throws {SetupError} for non-Number values.
+	 * @throws {SetupError} for counts that are not non-negative integers.
+	 * @throws {SetupError} if the count is greater than the maximum count.
+	 * @return {Argument} instance so we can chain calls.
+	 */
+	minCount(count) {
+		this.min_count = count;
+		return this;
+	}
+
 	/**
 	 * Sets this `Argument` as optional. When an `Argument` is optional,
 	 * {@link Argument#parse} will not throw an error when a value is not
-	 * provided. **NOTE** Only the last argument in an argument list may be
-	 * optional.
+	 * provided. **NOTE** Optional arguments in a {@link Command} must be next
+	 * to each other (see {@link Command#addArgSet}).
 	 *
 	 * @category builder
 	 * @param {Boolean} enabled `true` for optional, `false` for required.
@@ -362,28 +1243,52 @@ class Argument {
 	 * {@link external:Array}, even if the given argument was a single,
 	 * non-Array value.
 	 *
+	 * In rest mode, an {@link external:Array} of arguments is combined into a
+	 * single value (see {@link Argument#rest}).
+	 *
+	 * If an optional `Argument` is not given a value, the default value is
+	 * returned instead (see {@link Argument#default}).
+	 *
+	 * Arguments can also be given as {@link Token}s. The preprocessor still only
+	 * sees the token's value, but errors will point at where the token came
+	 * from in the original input.
+	 *
 	 * @category execution
-	 * @param {?external:String|?external:String[]} args Argument strings to parse.
+	 * @param {?external:String|?external:String[]|?Token|?Token[]} args
+	 *     Argument strings to parse.
+	 * @param {?any[]} ...forward Arbitrary additional values passed to the
+	 *     default value function, and to the preprocessor as part of its
+	 *     {@link PreprocessorContext}.
 	 * @throws {CommandError} for non-String and non-Array-of-String data.
 	 * @throws {CommandError} for incorrect number of arguments.
 	 * @throws {CommandError} wrapping anything thrown from the preprocessor.
 	 *     Additional context is added where possible, indicating which argument
 	 *     caused the problem and why.
+	 * @throws {CommandError} wrapping anything thrown from the default value
+	 *     function.
 	 * @return {any|any[]} The processed value (or array of values, in varargs
 	 *     mode).
 	 * @return {Promise<any>|Promise<any[]>} in async mode.
 	 */
-	parse(args) {
+	parse(args, ...forward) {
+		return this[parseInSet](args, { args: {}, index: 0, forward });
+	}
+
+	// Parses with the given PreprocessorContext. Commands use this directly to
+	// tell Arguments about the rest of the argument set.
+	[parseInSet](args, context) {
 		// args can be null if arg is optional, see below.
 		// Use CommandErrors because parse occurs during command execution.
 		if (args != null) {
-			if (!isString(args) && !Array.isArray(args)) {
+			if (!isString(args) && !isToken(args) && !Array.isArray(args)) {
 				throw new CommandError(
 					`args was ${type(args)}, expected [object String] or 'Array<string>'`
 				);
 			}
 			if (Array.isArray(args)) {
-				const nonStringElem = args.find(arg => !isString(arg));
+				const nonStringElem = args.find(
+					arg => !isString(arg) && !isToken(arg)
+				);
 				if (nonStringElem !== undefined) {
 					throw new CommandError(
 						`args Array contained a ${type(nonStringElem)}, ` +
@@ -395,37 +1300,46 @@ class Argument {
 
 		if (this.is_async) {
 			// Will auto-reject if this throws
-			return new Promise(resolve => resolve(this.#parseStart(args)));
+			return new Promise(resolve => resolve(this.#parseStart(args, context)));
 		} else {
-			return this.#parseStart(args);
+			return this.#parseStart(args, context);
 		}
 	}
 
 	// Break this out so we can optionally async wrap
-	#parseStart(args) {
-		if (this.is_varargs) {
-			return this.#parseVarargs(args);
+	#parseStart(args, context) {
+		if (this.is_literal) {
+			return matchLiteral(this, args);
+		} else if (this.is_varargs) {
+			return this.#parseVarargs(args, context);
+		} else if (this.tuple_names) {
+			return this.#parseTuple(args, context);
+		} else if (this.is_rest) {
+			return this.#parseSingle(joinTokens(args), context);
 		} else {
-			return this.#parseSingle(args);
+			return this.#parseSingle(args, context);
 		}
 	}
 
 	// Branch for parsing a single argument
-	#parseSingle(arg) {
+	#parseSingle(arg, context) {
 		if (arg == null && !this.is_optional) {
 			throw new CommandError(
-				`Too few arguments! Missing argument <${this.name}>`
+				`Too few arguments! Missing argument ${this.#label()}`
 			);
 		}
+		if (!tokenValue(arg) && this.is_optional) {
+			return this.#getDefault(context.forward);
+		}
 
-		return this.#applyPreprocessor(arg);
+		return this.#applyPreprocessor(arg, context);
 	}
 
 	// Branch for parsing multiple (varargs) arguments
-	#parseVarargs(args) {
+	#parseVarargs(args, context) {
 		if (args == null && !this.is_optional) {
 			throw new CommandError('Too few arguments! ' +
-				`Argument <${this.name}> requires at least one value.`
+				`Argument ${this.#label()} requires at least one value.`
 			);
 		}
 
@@ -435,50 +1349,190 @@ class Argument {
 			args = [args];
 		}
 
+		if (args.length === 0 && this.is_optional && this.default_value != null) {
+			const toArray = val => Array.isArray(val) ? val : [val];
+			const def = this.#getDefault(context.forward);
+			return this.is_async ? Promise.resolve(def).then(toArray) : toArray(def);
+		}
+
+		this.#checkCount(args);
+
 		// Resolve individual Promises in async mode so we can return an array
 		// of values instead of an array of Promises.
-		const vals = args.map((val, index) => this.#applyPreprocessor(val, index));
+		const vals = args.map((val, index) =>
+			this.#applyPreprocessor(val, context, index)
+		);
 		return this.is_async ? Promise.all(vals) : vals;
 	}
 
+	// Branch for parsing a fixed number of values as one (tuple) argument
+	#parseTuple(args, context) {
+		const names = this.tuple_names;
+
+		if (args == null) {
+			args = [];
+		} else if (!Array.isArray(args)) {
+			args = [args];
+		}
+
+		if (args.length === 0 && this.is_optional) {
+			return this.#getDefault(context.forward);
+		}
+		if (args.length < names.length) {
+			throw new CommandError('Too few arguments! ' +
+				`Missing ${this.#label(names[args.length])} ` +
+				`for argument ${this.#label()}`
+			);
+		}
+		if (args.length > names.length) {
+			throw setErrorSpan(new CommandError(
+				`Too many values for ${this.#label()}! Expected ${names.length}`
+			), args[names.length], args[args.length - 1]);
+		}
+
+		return this.#applyPreprocessor(args, context);
+	}
+
 	// Shared logic for applying the preprocessor function to an argument.
-	#applyPreprocessor(input, index) {
-		if (!input && this.is_optional) {
+	// Tuple arguments give an Array of inputs, which are processed together.
+	#applyPreprocessor(input, context, index) {
+		const is_tuple = Array.isArray(input);
+		const value = is_tuple ? input.map(tokenValue) : tokenValue(input);
+		const shown = is_tuple ? value.join(' ') : value;
+
+		if (!value && this.is_optional) {
 			// Important so this argument still shows up in the final object
 			return null;
 		}
-		if (!this.preprocessor) {
-			return input;
+		if (!this.#parser && !this.preprocessor) {
+			return value;
 		}
 
 		// Defining these in here so they have access to scoped variables.
-		// Pass-through input value if preprocessor returned undefined
-		const getReturnValue = val => val === undefined ? input : val;
+		// Pass-through the previous value if a step returned undefined
+		const keep = (val, prev) => val === undefined ? prev : val;
+		const then = (val, func) => (this.is_async && val instanceof Promise)
+			? val.then(func)
+			: func(val);
 
 		// Dress up errors thrown in preprocessor with additional context
 		const throwWithContext = err => {
-			let arg_id = `<${this.name}>`;
+			let arg_id = this.#label();
 
 			// Give a little more context for varargs errors
 			if (index != null) { // So index 0 is still true
 				arg_id += `(${index + 1})`;
 			}
 
-			throw new CommandError(`Bad ${arg_id} value '${input}'`, err);
+			throw setErrorSpan(
+				new CommandError(`Bad ${arg_id} value '${shown}'`, err),
+				is_tuple ? input[0] : input,
+				is_tuple ? input[input.length - 1] : input
+			);
 		};
 
 		try {
-			const processed = this.preprocessor(input);
+			const token = is_tuple
+				? (input.every(isToken) ? input : null)
+				: (isToken(input) ? input : null);
+
+			// The type's parser runs first, so the preprocessor gets the
+			// converted value.
+			const parsed = this.#parser ? this.#parser(value, token, context) : value;
+			const processed = then(parsed, val => {
+				const converted = keep(val, value);
+				if (!this.preprocessor) {
+					return converted;
+				}
+				return then(this.preprocessor(converted, token, context),
+					val => keep(val, converted)
+				);
+			});
+
 			if (this.is_async && processed instanceof Promise) {
-				return processed.then(getReturnValue).catch(throwWithContext);
+				return processed
+					.then(val => this.#checkRange(val))
+					.catch(throwWithContext);
 			} else {
-				return getReturnValue(processed);
+				return this.#checkRange(processed);
 			}
 		} catch (err) {
 			throwWithContext(err);
 		}
 	}
 
+	// Throws if a varargs Argument got fewer or more values than it allows.
+	// Optional Arguments can always be given no values.
+	#checkCount(args) {
+		const min = this.min_count;
+		const max = this.max_count;
+
+		if (min != null && args.length < min &&
+			!(args.length === 0 && this.is_optional)
+		) {
+			throw setErrorSpan(new CommandError(
+				`Too few values for ${this.#label()}! Expected at least ${min}`
+			), args[0], args[args.length - 1]);
+		}
+		if (max != null && args.length > max) {
+			throw setErrorSpan(new CommandError(
+				`Too many values for ${this.#label()}! Expected at most ${max}`
+			), args[max], args[args.length - 1]);
+		}
+	}
+
+	// Throws if a processed value is outside of this Argument's min and max.
+	#checkRange(val) {
+		if (this.min_value != null && val < this.min_value) {
+			throw new RangeError(`must be at least ${showValue(this.min_value)}`);
+		}
+		if (this.max_value != null && val > this.max_value) {
+			throw new RangeError(`must be at most ${showValue(this.max_value)}`);
+		}
+		return val;
+	}
+
+	// Gets the default value for this Argument, calling the default value
+	// function if there is one.
+	#getDefault(forward) {
+		const def = this.default_value;
+		if (!isFunction(def) && !isAsyncFunction(def)) {
+			return def;
+		}
+
+		const throwWithContext = err => {
+			throw new CommandError(
+				`Failed to get default value for ${this.#label()}`, err
+			);
+		};
+
+		let value;
+		try {
+			value = def(...forward);
+		} catch (err) {
+			throwWithContext(err);
+		}
+
+		if (value instanceof Promise) {
+			if (this.is_async) {
+				return value.catch(throwWithContext);
+			}
+
+			// Same as validators, a sync Argument can't wait for this
+			value.catch(() => {});
+			throw new CommandError(`Default value for ${this.#label()} ` +
+				'returned a Promise, but Argument is not async'
+			);
+		}
+		return value;
+	}
+
+	// Names this Argument (or one of its tuple values) in error messages, in
+	// the UsageStyle of its Command.
+	#label(name = this.name) {
+		return argumentLabel(name, this[styleKey] || checkUsageStyle());
+	}
+
 	/**
 	 * Sets up a preprocessor function that will be applied to any value that
 	 * passes through {@link Argument#parse} for this `Argument`. When called in
@@ -488,6 +1542,14 @@ class Argument {
 	 * added to {@link Args} as-is. Values thrown from this preprocessor will
 	 * bubble up with additional context.
 	 *
+	 * The preprocessor also gets a {@link PreprocessorContext}, which has the
+	 * arguments the {@link Command} parsed before this one. This can be used
+	 * to validate arguments against each other, like an end after a start.
+	 *
+	 * For the built-in typed `Argument`s, like {@link Argument.int}, the value
+	 * is converted before it reaches the preprocessor, so the preprocessor gets
+	 * a number for `int`, a {@link external:Date} for `date`, and so on.
+	 *
 	 * @category builder
 	 * @param {Preprocessor} func The preprocessor function.
 	 * @throws {SetupError} for non-Function values.
@@ -499,25 +1561,178 @@ class Argument {
 	}
 
 	/**
-	 * Generates a human-readable string describing this `Argument`. Useful for
-	 * building command usage strings from multiple arguments.
-	 * - Required `<example>`
-	 * - Optional `[example]`
-	 * - Varargs  `<example_1> [example_2] ... [example_n]`
+	 * Enables or disables rest mode for this `Argument`. A rest `Argument` takes
+	 * in everything from where it starts to the end of the input as a single
+	 * value, keeping the original spacing, newlines, and quotes intact. This is
+	 * useful for free-form text, like `note add <text...>`.
 	 *
-	 * @category execution
-	 * @return {external:String} A human-readable description of this `Argument`.
+	 * The original text can only be recovered from {@link Token}s (e.g. from
+	 * {@link Command.tokenize}). When given plain strings, the values are
+	 * joined with single spaces instead. A rest `Argument` at the end of a set
+	 * takes the rest of the input untokenized, so it can contain things the
+	 * {@link Tokenizer} would reject, like an unmatched quote in `it's`, as
+	 * long as the Tokenizer's error gives where it happened (see
+	 * {@link CommandError#span}).
+	 * **NOTE** A rest `Argument` follows the same rules as a varargs
+	 * `Argument` in a {@link Command}, so a set can only have one of them.
+	 *
+	 * @category builder
+	 * @param {Boolean} enabled `true` for enabled, `false` for disabled.
+	 * @throws {SetupError} for non-Boolean values.
+	 * @throws {SetupError} if varargs is also enabled.
+	 * @return {Argument} instance so we can chain calls.
+	 * @example
+	 * const cmd = new Command('note')
+	 *     .addArgSet([ new Argument('text').rest(true) ])
+	 *     .handler(args => args.text);
+	 * cmd.execute('Hello,\n    "world"'); // Returns 'Hello,\n    "world"'
 	 */
-	usage() {
-		// b for bracket
-		const lb = this.is_optional ? '[' : '<';
-		const rb = this.is_optional ? ']' : '>';
+	rest(enabled) {
+		this.is_rest = enabled;
+		return this;
+	}
 
-		if (this.is_varargs) {
-			return `${lb}${this.name}_1${rb} [${this.name}_2] ... [${this.name}_n]`;
+	/**
+	 * Makes this `Argument` a tuple, which takes a fixed number of values
+	 * together, like coordinates or a range. The values are given to the
+	 * preprocessor together as an {@link external:Array} (see
+	 * {@link Preprocessor}), and the result is stored under this `Argument`'s
+	 * name. Without a preprocessor, the result is the Array of values.
+	 *
+	 * An optional tuple `Argument` takes either all of its values or none.
+	 *
+	 * @category builder
+	 * @param {external:String[]} names The name of each value, used in the
+	 *     usage text (see {@link Argument#usage}).
+	 * @throws {SetupError} for anything other than an Array of at least 2
+	 *     non-empty Strings.
+	 * @throws {SetupError} if varargs or rest mode is also enabled.
+	 * @return {Argument} instance so we can chain calls.
+	 * @example
+	 * const arg = new Argument('pos')
+	 *     .tuple(['x', 'y', 'z'])
+	 *     .preprocess(([x, y, z]) => ({ x: +x, y: +y, z: +z }));
+	 * arg.usage();                // "<pos: x y z>"
+	 * arg.parse(['1', '2', '3']); // { x: 1, y: 2, z: 3 }
+	 */
+	tuple(names) {
+		this.tuple_names = names;
+		return this;
+	}
+
+	/**
+	 * Sets the type name for this `Argument`, which is shown in the usage text
+	 * (see {@link Argument#usage}). The built-in typed `Argument`s, like
+	 * {@link Argument.int}, set this automatically.
+	 *
+	 * @category builder
+	 * @param {external:String} name The type name.
+	 * @throws {SetupError} for non-String or empty String names.
+	 * @return {Argument} instance so we can chain calls.
+	 */
+	type(name) {
+		this.type_name = name;
+		return this;
+	}
+
+	// Sets the type name and the parser for a built-in typed Argument. The
+	// parser is kept apart from the preprocessor so both can be used.
+	#typed(name, parser) {
+		this.type_name = name;
+		this.#parser = parser;
+		return this;
+	}
+
+	/**
+	 * Generates a human-readable string describing this `Argument`. Useful for
+	 * building command usage strings from multiple arguments.
+	 * - Required `<example>`
+	 * - Optional `[example]`
+	 * - Varargs  `<example_1> [example_2] ... [example_n]`
+	 * - Counted  `<example_1> <example_2> ... [example_5]`
+	 * - Rest     `<example...>`
+	 * - Tuple    `<example: x y z>`
+	 * - Literal  `example`
+	 * - Typed    `<example:int>`
+	 * - Default  `[example=value]`
+	 *
+	 * Default values are only shown if they are not functions. The brackets,
+	 * varargs notation, and name case can be changed with a
+	 * {@link UsageStyle}.
+	 *
+	 * @category execution
+	 * @param {?UsageStyle} style How to write the usage. Uses the default
+	 *     style if omitted.
+	 * @throws {SetupError} for invalid styles.
+	 * @return {external:String} A human-readable description of this `Argument`.
+	 * @example
+	 * const arg = new Argument('files').varargs(true);
+	 * arg.usage(); // '<files_1> [files_2] ... [files_n]'
+	 * arg.usage({ required: ['', ''], varargs: 'ellipsis', uppercase: true });
+	 * // 'FILES...'
+	 */
+	usage(style) {
+		style = checkUsageStyle(style);
+		// b for bracket
+		const [lb, rb] = this.is_optional ? style.optional : style.required;
+		const upper = name => style.uppercase ? name.toUpperCase() : name;
+		const name = upper(this.name);
+		const t = this.type_name ? `:${this.type_name}` : '';
+		if (this.is_literal) {
+			return this.is_optional ? `${lb}${this.name}${rb}` : this.name;
+		}
+
+		const def = this.default_value;
+		const d = (this.is_optional && def != null &&
+			!isFunction(def) && !isAsyncFunction(def)
+		) ? `=${showValue(def)}` : '';
+
+		if (this.is_varargs) {
+			return style.varargs === 'ellipsis' ?
+				`${lb}${name}${t}${d}${rb}...` :
+				this.#usageVarargs(style, name, t, d);
+		} else if (this.is_rest) {
+			return `${lb}${name}${t}...${d}${rb}`;
+		} else if (this.tuple_names) {
+			const names = this.tuple_names.map(upper).join(' ');
+			return `${lb}${name}${t}: ${names}${d}${rb}`;
+		} else {
+			return `${lb}${name}${t}${d}${rb}`;
+		}
+	}
+
+	// Varargs usage lists the required values, then abbreviates the rest
+	#usageVarargs(style, name, t, d) {
+		const [rlb, rrb] = style.required;
+		const [olb, orb] = style.optional;
+		const required = this.is_optional ? 0 : Math.max(this.min_count || 1, 1);
+		const max = this.max_count;
+		const item = i => (i <= required)
+			? `${rlb}${name}_${i}${t}${rrb}`
+			: `${olb}${name}_${i}${t}${i === 1 ? d : ''}${orb}`;
+		const items = [];
+
+		for (let i = 1; i <= required; i++) {
+			items.push(item(i));
+		}
+
+		if (max == null) {
+			if (required === 0) {
+				items.push(item(1));
+			}
+			items.push(item(items.length + 1), '...', `${olb}${name}_n${t}${orb}`);
+		} else if (max - required <= 2) {
+			for (let i = required + 1; i <= max; i++) {
+				items.push(item(i));
+			}
 		} else {
-			return `${lb}${this.name}${rb}`;
+			if (required === 0) {
+				items.push(item(1));
+			}
+			items.push('...', item(max));
 		}
+
+		return items.join(' ');
 	}
 
 	/**
@@ -525,13 +1740,17 @@ class Argument {
 	 * A varargs `Argument` can accept multiple values, and each individual
 	 * value will be separately subject to the preprocessor (if one is given).
 	 * The first value of a varargs `Argument` is required (unless optional is
-	 * enabled), but all subsequent values are always optional.
-	 * **NOTE** A varargs `Argument` must be the last argument in a set for a
-	 * {@link Command}.
+	 * enabled), but all subsequent values are optional. Use
+	 * {@link Argument#minCount} and {@link Argument#maxCount} to limit how
+	 * many values are accepted.
+	 * **NOTE** A varargs `Argument` can be anywhere in a set for a
+	 * {@link Command}, but each set can only have one. Values for the
+	 * arguments after it are taken from the end of the input first.
 	 *
 	 * @category builder
 	 * @param {Boolean} enabled `true` for enabled, `false` for disabled.
 	 * @throws {SetupError} for non-Boolean values.
+	 * @throws {SetupError} if rest mode is also enabled.
 	 * @return {Argument} instance so we can chain calls.
 	 */
 	varargs(enabled) {
@@ -574,29 +1793,182 @@ class Argument {
 class Command {
 
 	/**
-	 * Splits a command string into an array of tokens. This essentially just
-	 * splits on whitespace.
+	 * Splits a command string into an array of tokens. Tokens are separated by
+	 * whitespace, but this can be controlled using shell-like quoting:
+	 * - Single quotes `'like this'` keep everything inside them literally.
+	 * - Double quotes `"like this"` also group text, but `\"` and `\\` can be
+	 *   used to include literal quotes and backslashes.
+	 * - Outside of quotes, a backslash escapes the following character, so
+	 *   `like\ this` is a single token.
+	 *
+	 * Quoted text directly adjacent to other text is joined into the same
+	 * token, so `a"b c"d` becomes `ab cd`. Empty quotes (`""` or `''`) produce
+	 * an empty token.
+	 *
+	 * Markdown-style code can optionally be kept together too, by setting
+	 * `options.code`. Code runs from a run of backticks to the next run of
+	 * exactly as many backticks, and its contents are kept exactly as-is.
+	 * Like quoted text, code directly adjacent to other text is joined into
+	 * the same token:
+	 * - Inline code `` `like this` `` becomes `like this`.
+	 * - Fenced code blocks with three or more backticks can give a language on
+	 *   the opening line, like ```` ```js ````. The language is stored in the
+	 *   {@link Token}'s `lang` field (see {@link Command.tokenize}). A single
+	 *   newline before the closing fence is dropped.
+	 *
+	 * This is the same as {@link Command.tokenize}, but only returns the token
+	 * values.
 	 *
 	 * @param {external:String} string Command string to split.
+	 * @param {?external:Object} options Tokenizing options.
+	 * @param {?Boolean} options.code `true` to keep code blocks and inline
+	 *     code together as single tokens.
+	 * @throws {CommandError} for non-String values.
+	 * @throws {CommandError} if the string contains an unterminated quote.
+	 * @throws {CommandError} if the string contains unterminated code.
 	 * @return {external:String[]} {@link external:Array} of command tokens.
+	 * @example
+	 * Command.split('say "hello world" again'); // ['say', 'hello world', 'again']
+	 * Command.split('run ```js\nlet x = 1;\n```', { code: true }); // ['run', 'let x = 1;']
+	 */
+	static split(string, options) {
+		return Command.tokenize(string, options).map(token => token.value);
+	}
+
+	/**
+	 * Splits a command string into an array of {@link Token}s, following the
+	 * same rules as {@link Command.split}. Each `Token` remembers where in the
+	 * original string it came from, so errors can point back to the part of
+	 * the input that caused them (see {@link CommandError#highlight}).
+	 *
+	 * Tokens for fenced code blocks also have a `lang` field, containing the
+	 * block's language (or `null` if it didn't give one). This is passed along
+	 * to {@link Preprocessor}s.
+	 *
+	 * This is the default {@link Tokenizer} for {@link Command}s and
+	 * {@link CommandRegistry}s. To enable options, wrap it in another function:
+	 * `registry.tokenizer(str => Command.tokenize(str, { code: true }))`.
+	 *
+	 * @param {external:String} string Command string to split.
+	 * @param {?external:Object} options Tokenizing options, same as
+	 *     {@link Command.split}.
+	 * @throws {CommandError} for non-String values.
+	 * @throws {CommandError} if the string contains an unterminated quote.
+	 * @throws {CommandError} if the string contains unterminated code.
+	 * @return {Token[]} {@link external:Array} of command tokens.
+	 * @example
+	 * Command.tokenize('say "hi there"'); // [
+	 * //   { value: 'say',      start: 0, end: 3,  input: 'say "hi there"' },
+	 * //   { value: 'hi there', start: 4, end: 14, input: 'say "hi there"' },
+	 * // ]
 	 */
-	static split(string) {
+	static tokenize(string, options) {
 		if (!isString(string)) {
 			throw new CommandError(
 				`string was ${type(string)}, expected [object String]`
 			);
 		}
 
-		// TODO maybe add ability to put args in quotes
-		return string.split(/\s+/).filter(Boolean);
+		options = options || {};
+
+		const tokens = [];
+		let token = null; // null when between tokens, so '' can still be a token
+		let quote = null;
+		let quote_start;
+
+		const endToken = end => {
+			token.end = end;
+			tokens.push(token);
+			token = null;
+		};
+
+		for (let i = 0; i < string.length; i++) {
+			const char = string[i];
+
+			if (quote === "'") {
+				if (char === quote) {
+					quote = null;
+				} else {
+					token.value += char;
+				}
+			} else if (quote === '"') {
+				if (char === quote) {
+					quote = null;
+				} else if (char === '\\' && ['"', '\\'].includes(string[i + 1])) {
+					token.value += string[++i];
+				} else {
+					token.value += char;
+				}
+			} else if (/\s/.test(char)) {
+				if (token !== null) {
+					endToken(i);
+				}
+			} else if (options.code && char === '`') {
+				// Code can start or continue a token, the same as quotes
+				const code = readCode(string, i);
+				i = code.end - 1;
+				if (token === null) {
+					token = code;
+				} else {
+					token.value += code.value;
+				}
+			} else {
+				if (token === null) {
+					token = { value: '', start: i, end: null, input: string };
+				}
+
+				if (char === "'" || char === '"') {
+					quote = char;
+					quote_start = i;
+				} else if (char === '\\' && i + 1 < string.length) {
+					token.value += string[++i];
+				} else {
+					token.value += char;
+				}
+			}
+		}
+
+		if (quote) {
+			const err = new CommandError(
+				`Unterminated quote! Missing closing ${quote}`
+			);
+			err.input = string;
+			err.span = { start: quote_start, end: string.length };
+			throw err;
+		}
+		if (token !== null) {
+			endToken(string.length);
+		}
+
+		return tokens;
 	}
 
+	#aliases = [];
 	#argsets = [];
+	#category_name = null;
 	#desc = null;
+	#examples = [];
 	#handler = null;
 	#handler_err = null;
 	#is_async = false;
+	#is_collect_errors = false;
+	#is_hidden = false;
 	#name;
+	#subcommands = null;
+	#tokenizer = Command.tokenize;
+	#usage_style = checkUsageStyle();
+	#validators = [];
+
+	/**
+	 * Directly access the aliases for this `Command`. This is a read-only
+	 * property.
+	 *
+	 * @category accessor
+	 * @see {@link Command#alias}
+	 */
+	get aliases() {
+		return this.#aliases.slice();
+	}
 
 	/**
 	 * Directly access the argument sets for this `Command`. This is a read-only
@@ -608,6 +1980,27 @@ class Command {
 		return this.#argsets.map(set => set.slice()); // Return a deep-ish copy
 	}
 
+	/**
+	 * Directly get and set the category for this `Command`. Setting this has
+	 * the same effect as calling {@link Command#category}.
+	 *
+	 * @category accessor
+	 * @see {@link Command#category}
+	 */
+	set category_name(name) {
+		if (!isString(name)) {
+			throw new SetupError(`category was ${type(name)}, expected [object String]`);
+		}
+		if (!name) {
+			throw new SetupError('category was empty string');
+		}
+
+		this.#category_name = name;
+	}
+	get category_name() {
+		return this.#category_name;
+	}
+
 	/**
 	 * Directly get and set the description for this `Command`. Setting this has
 	 * the same effect as calling {@link Command#description}.
@@ -626,6 +2019,17 @@ class Command {
 		return this.#desc;
 	}
 
+	/**
+	 * Directly access the example invocations for this `Command`. This is a
+	 * read-only property.
+	 *
+	 * @category accessor
+	 * @see {@link Command#example}
+	 */
+	get examples() {
+		return this.#examples.slice();
+	}
+
 	/**
 	 * Directly get and set asynchronous mode for this `Command`. Setting this
 	 * has the same effect as calling {@link Command#asynchronous}.
@@ -643,11 +2047,56 @@ class Command {
 
 		this.#is_async = enabled;
 		this.#applyAsyncToArgsets();
+		if (this.#subcommands) {
+			this.#subcommands.asynchronous(enabled);
+		}
 	}
 	get is_async() {
 		return this.#is_async;
 	}
 
+	/**
+	 * Directly get and set whether this `Command` collects all argument errors.
+	 * Setting this has the same effect as calling {@link Command#collectErrors}.
+	 *
+	 * @category accessor
+	 * @see {@link Command#collectErrors}
+	 * @default false
+	 */
+	set is_collect_errors(enabled) {
+		if (!isBoolean(enabled)) {
+			throw new SetupError(
+				`is_collect_errors was ${type(enabled)}, expected [object Boolean]`
+			);
+		}
+
+		this.#is_collect_errors = enabled;
+	}
+	get is_collect_errors() {
+		return this.#is_collect_errors;
+	}
+
+	/**
+	 * Directly get and set whether this `Command` is hidden from help listings.
+	 * Setting this has the same effect as calling {@link Command#hidden}.
+	 *
+	 * @category accessor
+	 * @see {@link Command#hidden}
+	 * @default false
+	 */
+	set is_hidden(enabled) {
+		if (!isBoolean(enabled)) {
+			throw new SetupError(
+				`is_hidden was ${type(enabled)}, expected [object Boolean]`
+			);
+		}
+
+		this.#is_hidden = enabled;
+	}
+	get is_hidden() {
+		return this.#is_hidden;
+	}
+
 	/**
 	 * Directly get and set the name for this `Command`. Subject to the same
 	 * validation as {@link #new_Command_new|new Command()}.
@@ -669,6 +2118,63 @@ class Command {
 		return this.#name;
 	}
 
+	/**
+	 * The full path of this `Command`, including the names of the `Command`s
+	 * it is a subcommand of (see {@link Command#subcommand}), separated by
+	 * spaces. This is a read-only property.
+	 *
+	 * @category accessor
+	 * @example
+	 * const add = new Command('add');
+	 * new Command('git').subcommand(new Command('remote').subcommand(add));
+	 * add.path; // 'git remote add'
+	 */
+	get path() {
+		const registry = this[parentKey];
+		const parent = registry && registry[parentKey];
+		return parent ? `${parent.path} ${this.name}` : this.name;
+	}
+
+	/**
+	 * Directly access the {@link CommandRegistry} holding this `Command`'s
+	 * subcommands, or `null` if it has none. This is a read-only property.
+	 *
+	 * @category accessor
+	 * @see {@link Command#subcommand}
+	 * @see {@link Command#mount}
+	 * @default null
+	 */
+	get subcommands() {
+		return this.#subcommands;
+	}
+
+	/**
+	 * Directly get and set the {@link UsageStyle} for this `Command`. Setting
+	 * this has the same effect as calling {@link Command#usageStyle}. Getting
+	 * this always gives a complete style, with defaults filled in.
+	 *
+	 * @category accessor
+	 * @see {@link Command#usageStyle}
+	 */
+	set usage_style(style) {
+		this.#usage_style = checkUsageStyle(style);
+		this.#applyUsageStyleToArgsets();
+	}
+	get usage_style() {
+		return checkUsageStyle(this.#usage_style); // Return a copy
+	}
+
+	/**
+	 * Directly access the {@link Validator}s for this `Command`. This is a
+	 * read-only property.
+	 *
+	 * @category accessor
+	 * @see {@link Command#validate}
+	 */
+	get validators() {
+		return this.#validators.slice();
+	}
+
 	/**
 	 * Creates a new `Command` with the given name.
 	 *
@@ -682,18 +2188,54 @@ class Command {
 	 * Adds a set of {@link Argument}s this `Command` can accept.
 	 * Arguments are all positional, so this function enforces several rules to
 	 * avoid ambiguous command definitions:
-	 * - A `Command` cannot have multiple argument sets with the same length.
+	 * - A `Command` cannot have multiple argument sets that could both take the
+	 *   same number of values, unless one of them has exactly that many
+	 *   arguments.
 	 * - A `Command` cannot have multiple argument sets with varargs arguments.
-	 * - Optional arguments must be the last arguments in an argument set.
-	 * - A varargs argument must be the last argument in an argument set.
+	 * - An argument set can only have one varargs argument.
+	 * - Optional arguments cannot come after a varargs argument without a
+	 *   maximum count (see {@link Argument#maxCount}) in the same set, since
+	 *   the varargs argument would always take their values.
 	 * - The argument set containing a varargs argument must be the largest set.
 	 *
+	 * Optional arguments can appear anywhere in a set. When fewer values are
+	 * given than there are arguments, optional arguments are filled in from
+	 * left to right, so `[a] [b] <c>` with two values fills `a` and `c`, and
+	 * `[a] <b> [c]` with two values fills `a` and `b`.
+	 *
+	 * A varargs argument can also appear anywhere in a set. It takes every
+	 * value not needed by the other arguments, so `<src...> <dest>` with four
+	 * values gives three to `src` and the last one to `dest`.
+	 *
+	 * Rest arguments (see {@link Argument#rest}) count as varargs arguments
+	 * for these rules. Varargs arguments with a maximum count (see
+	 * {@link Argument#maxCount}) take a known range of values, so between
+	 * sets, only the first rule applies to them.
+	 *
+	 * The rules between sets are skipped for sets that have different required
+	 * literals (see {@link Argument#literal}) at the same position, since a
+	 * keyword can always tell them apart. This allows subcommand-style sets
+	 * like `add <text...>` and `move <id> <pos>`.
+	 *
+	 * Multiple argument sets can have the same length, as long as their
+	 * preprocessors can tell them apart. Sets are tried in the order they were
+	 * added, and the first one where every argument parses is used. If none
+	 * of them parse, the error from the set that parsed the most arguments is
+	 * thrown. Sets whose literals (see {@link Argument#literal}) don't match
+	 * the input are skipped without running any preprocessors.
+	 *
 	 * @category builder
 	 * @param {Argument[]} argset {@link external:Array} of `Argument` objects.
 	 * @throws {SetupError} for non-Array values.
 	 * @throws {SetupError} for Arrays containing non-Argument values.
 	 * @throws {SetupError} if any argument set rule is violated.
 	 * @return {Command} instance so we can chain calls.
+	 * @example
+	 * const cmd = new Command('ban')
+	 *     .addArgSet([ new Argument('user'), Argument.duration('time') ])
+	 *     .addArgSet([ new Argument('user'), new Argument('reason') ]);
+	 * cmd.parse(['bob', '1h']);   // { _: [...], user: 'bob', time: 3600000 }
+	 * cmd.parse(['bob', 'spam']); // { _: [...], user: 'bob', reason: 'spam' }
 	 */
 	addArgSet(argset) {
 		if (!Array.isArray(argset) || !argset.every(arg => arg instanceof Argument)) {
@@ -701,41 +2243,109 @@ class Command {
 		}
 
 		const pre = 'Ambiguous argument sets';
-		const hasVarargs = (set) => set.find(arg => arg.is_varargs);
+		const takesRest = arg => arg.is_varargs || arg.is_rest;
 		const allsets = [...this.#argsets, argset];
-		const max_set_len = allsets.reduce(
-			(max, cur) => (cur.length > max ? cur.length : max), 0
-		);
-
-		if (this.#argsets.find(set => set.length === argset.length)) {
-			throw new SetupError(`${pre}: Multiple sets of length ${argset.length}`);
-		}
 
-		if (argset.find(arg => arg.is_optional) &&
-			argset.findIndex(arg => arg.is_optional) != argset.length - 1) {
-			throw new SetupError(`${pre}: optional argument must be last in set`);
+		const length = setLength(argset);
+		if (argset.filter(takesRest).length > 1) {
+			throw new SetupError(`${pre}: Multiple varargs arguments in set`);
 		}
 
-		if (hasVarargs(argset) &&
-			argset.findIndex(arg => arg.is_varargs) != argset.length - 1
+		// Values are handed out from left to right (see sliceTokens), so an
+		// unlimited varargs argument leaves nothing for optionals after it.
+		const var_index = argset.findIndex(arg => tokenRange(arg).max === Infinity);
+		if (var_index !== -1 &&
+			argset.slice(var_index + 1).find(arg => arg.is_optional)
 		) {
-			throw new SetupError(`${pre}: varargs argument must be last in set`);
+			throw new SetupError(
+				`${pre}: optional arguments cannot come after varargs in set`
+			);
 		}
 
-		if (allsets.filter(hasVarargs).length > 1) {
+		// Sets told apart by a keyword never compete for the same input, so
+		// the rules between sets only apply to the ones that could.
+		// Varargs limited by maxCount take a known range of values, so only
+		// the overlap check below applies to them.
+		const rivals = allsets.filter(set =>
+			set === argset || !literalsDiffer(set, argset)
+		);
+		const unbounded = set => tokenRange(set).max === Infinity;
+		if (rivals.filter(unbounded).length > 1) {
 			throw new SetupError(`${pre}: Multiple sets containing varargs`);
 		}
 
-		if (allsets.find(hasVarargs) && (
-				allsets.findIndex(hasVarargs) !==
-				allsets.findIndex(set => set.length === max_set_len)
-			)
+		const max_set_len = rivals.reduce(
+			(max, cur) => Math.max(setLength(cur), max), 0
+		);
+		if (rivals.find(unbounded) &&
+			setLength(rivals.find(unbounded)) < max_set_len
 		) {
 			throw new SetupError(`${pre}: set containing varargs must be largest set`);
 		}
 
+		// Checked last, since the rules above guarantee this is finite
+		const range = tokenRange(argset);
+		rivals.filter(set => set !== argset).forEach(set => {
+			const other = tokenRange(set);
+			const lo = Math.max(range.min, other.min);
+			const hi = Math.min(range.max, other.max);
+			for (let n = lo; n <= hi; n++) {
+				if (n !== setLength(set) && n !== length) {
+					throw new SetupError(`${pre}: Multiple sets accept ${n} arguments`);
+				}
+			}
+		});
+
 		this.#argsets.push(argset);
 		this.#applyAsyncToArgsets();
+		this.#applyUsageStyleToArgsets();
+		return this;
+	}
+
+	/**
+	 * Adds other names this `Command` can be executed by. A
+	 * {@link CommandRegistry} dispatches each alias to this `Command`, and
+	 * its help shows the aliases next to the name, instead of listing this
+	 * `Command` more than once. Usage and error messages always use the
+	 * `Command`'s name.
+	 *
+	 * @category builder
+	 * @param {...external:String} names The aliases.
+	 * @throws {SetupError} for non-String or empty String values.
+	 * @throws {SetupError} if an alias is this `Command`'s name or another
+	 *     alias of it.
+	 * @throws {SetupError} if an alias is already used by another `Command` in
+	 *     the same `CommandRegistry`.
+	 * @return {Command} instance so we can chain calls.
+	 * @example
+	 * const cmd = new Command('remove')
+	 *     .alias('rm', 'del')
+	 *     .addArgSet([ new Argument('file') ]);
+	 * registry.add(cmd).execute('rm notes.txt');
+	 */
+	alias(...names) {
+		names.forEach(name => {
+			if (!isString(name)) {
+				throw new SetupError(`alias was ${type(name)}, expected [object String]`);
+			}
+			if (!name) {
+				throw new SetupError('alias was empty string');
+			}
+		});
+		names.forEach((name, i) => {
+			if (name === this.name || this.#aliases.includes(name) ||
+				names.indexOf(name) !== i
+			) {
+				throw new SetupError(
+					`Defined duplicate alias '${name}' for command '${this.name}'`
+				);
+			}
+		});
+		if (this[parentKey]) {
+			checkNamesFree(this[parentKey].commands, names, this);
+		}
+
+		this.#aliases.push(...names);
 		return this;
 	}
 
@@ -765,6 +2375,48 @@ class Command {
 		);
 	}
 
+	/**
+	 * Sets the category for this `Command`. {@link CommandRegistry} help
+	 * listings group commands by category, and a category name can be given
+	 * to the help command to list only the commands in it.
+	 *
+	 * @category builder
+	 * @param {external:String} name The category name.
+	 * @throws {SetupError} for non-String or empty String values.
+	 * @return {Command} instance so we can chain calls.
+	 * @example
+	 * const cmd = new Command('ban')
+	 *     .category('Moderation')
+	 *     .addArgSet([ new Argument('user') ]);
+	 */
+	category(name) {
+		this.category_name = name;
+		return this;
+	}
+
+	/**
+	 * Enables or disables collecting all argument errors. Normally
+	 * {@link Command#parse} stops at the first {@link Argument} that fails.
+	 * With this enabled, every `Argument` in the selected set is parsed, and
+	 * if any of them fail, a single {@link CommandError} is thrown with each
+	 * failure in {@link CommandError#errors}, even if there is only one.
+	 *
+	 * @category builder
+	 * @param {Boolean} enabled `true` to collect errors, `false` to stop at the
+	 *     first error.
+	 * @throws {SetupError} for non-Boolean values.
+	 * @return {Command} instance so we can chain calls.
+	 * @example
+	 * const cmd = new Command('add')
+	 *     .addArgSet([ Argument.int('a'), Argument.int('b') ])
+	 *     .collectErrors(true);
+	 * cmd.parse(['x', 'y']); // CommandError with 2 errors
+	 */
+	collectErrors(enabled) {
+		this.is_collect_errors = enabled;
+		return this;
+	}
+
 	/**
 	 * Sets the description text for this `Command`.
 	 *
@@ -804,6 +2456,32 @@ class Command {
 		return this;
 	}
 
+	/**
+	 * Adds an example invocation for this `Command`, which is shown in its
+	 * detailed help (see {@link Command#help}). Examples are shown in the
+	 * order they were added.
+	 *
+	 * @category builder
+	 * @param {external:String} text The example, including the command name.
+	 * @throws {SetupError} for non-String or empty String values.
+	 * @return {Command} instance so we can chain calls.
+	 * @example
+	 * const cmd = new Command('say')
+	 *     .addArgSet([ new Argument('text').rest(true) ])
+	 *     .example('say hello world');
+	 */
+	example(text) {
+		if (!isString(text)) {
+			throw new SetupError(`example was ${type(text)}, expected [object String]`);
+		}
+		if (!text) {
+			throw new SetupError('example was empty string');
+		}
+
+		this.#examples.push(text);
+		return this;
+	}
+
 	/**
 	 * Executes an argument string (or array) using the handler for this
 	 * `Command`. Additional arbitrary arguments can be forwarded to the command
@@ -823,17 +2501,20 @@ class Command {
 	 * processed and validated.
 	 *
 	 * @category execution
-	 * @param {external:String|external:String[]} parts Arguments for this
-	 *     command. Should not include the command's name.
+	 * @param {external:String|external:String[]|Token[]} parts Arguments for
+	 *     this command. Should not include the command's name.
 	 * @param {?any[]} ...forward Arbitrary additional values passed to handler.
+	 * @throws {CommandError} for anything thrown within the {@link Tokenizer},
+	 *     when given a string.
 	 * @throws {CommandError} for all reasons as {@link Command#parse}.
+	 * @throws {CommandError} for anything thrown within a {@link Validator}.
 	 * @throws {CommandError} for anything thrown within the handler.
 	 * @return {?any} Whatever the handler function returns.
 	 * @return {Promise<?any>} in async mode.
 	 */
 	execute(parts, ...forward) {
-		if (isString(parts)) {
-			parts = Command.split(parts);
+		if (this.#subcommands) {
+			return this.#executeSubcommand(parts, ...forward);
 		}
 
 		return this.is_async ?
@@ -841,11 +2522,79 @@ class Command {
 			this.#executeSync(parts, ...forward);
 	}
 
+	// Dispatches to the subcommand named by the first part, if there is one.
+	// Otherwise, this Command handles the parts itself, if it takes any.
+	#executeSubcommand(parts, ...forward) {
+		const registry = this.#subcommands;
+		const handles_parts = this.#handler || this.#argsets.length > 0;
+		const dispatch = parts => {
+			const name = tokenValue(parts[0]);
+			if (findCommand(registry.commands, name) ||
+				(parts.length > 0 && !handles_parts && registry.default_handler)
+			) {
+				return this.#executeRegistry(parts, ...forward);
+			} else if (handles_parts) {
+				return this.is_async ?
+					this.#executeAsync(parts, ...forward) :
+					this.#executeSync(parts, ...forward);
+			}
+
+			const expected = 'Expected one of: ' + Array.from(registry.commands.values())
+				.filter(cmd => !cmd.is_hidden)
+				.map(cmd => cmd.name)
+				.join(', ');
+			const tail = parts.find(part => isToken(part) && part[rawTail]);
+			const err = tail ? tail[rawTail] :
+				parts.length > 0 ?
+				setErrorSpan(new CommandError(
+					`Unknown subcommand '${name}'! ${expected}`
+				), parts[0]) :
+				new CommandError(`Missing subcommand! ${expected}`);
+			return this.#executeHandleError(err, ...forward);
+		};
+
+		if (this.is_async) {
+			return new Promise(resolve => resolve(this.#split(parts)))
+				.then(dispatch, err => this.#executeHandleError(err, ...forward));
+		}
+
+		try {
+			parts = this.#split(parts);
+		} catch (err) {
+			return this.#executeHandleError(err, ...forward);
+		}
+		return dispatch(parts);
+	}
+
+	// Executes the parts with the subcommand registry. Anything it throws
+	// goes to this Command's error handler, without being wrapped again so
+	// it still says which subcommand failed.
+	#executeRegistry(parts, ...forward) {
+		const registry = this.#subcommands;
+		if (!this.#handler_err) {
+			return registry.execute(parts.slice(), ...forward);
+		}
+
+		if (this.is_async) {
+			return registry.execute(parts.slice(), ...forward)
+				.catch(err => this.#handler_err(err, ...forward));
+		}
+
+		try {
+			return registry.execute(parts.slice(), ...forward);
+		} catch (err) {
+			return this.#handler_err(err, ...forward);
+		}
+	}
+
 	// Sync branch of execute
 	#executeSync(parts, ...forward) {
 		let parsed_parts;
 		try {
-			parsed_parts = this.parse(parts);
+			parsed_parts = this.parse(this.#split(parts), ...forward);
+			this.#validators.forEach(func =>
+				this.#runValidator(func, parsed_parts, forward)
+			);
 		} catch (err) {
 			return this.#executeHandleError(err, ...forward);
 		}
@@ -862,7 +2611,12 @@ class Command {
 
 	// Async branch of execute that always returns a Promise
 	#executeAsync(parts, ...forward) {
-		return Promise.resolve(this.parse(parts))
+		// Wrap in new Promise so errors from splitting reject too
+		return new Promise(resolve => resolve(this.#split(parts)))
+			.then(parts => this.parse(parts, ...forward))
+			.then(parsed_parts => executeSequentially(this.#validators, func =>
+				this.#runValidator(func, parsed_parts, forward)
+			).then(() => parsed_parts))
 			.then(parsed_parts => {
 				if (!this.#handler) {
 					return Promise.resolve(); // Resolve to undefined
@@ -880,9 +2634,47 @@ class Command {
 			.catch(err => this.#executeHandleError(err, ...forward));
 	}
 
-	// De-duplicated logic for passing execution errors to the error handler.
-	#executeHandleError(err, ...forward) {
-		err = this.#wrap(err);
+	// Runs a single Validator, dressing up anything it throws. CommandErrors are
+	// passed through as-is, since they already explain themselves.
+	#runValidator(func, parsed, forward) {
+		const wrapErr = err => {
+			throw (err instanceof CommandError) ?
+				err : new CommandError('Invalid arguments', err);
+		};
+
+		let result;
+		try {
+			result = func(parsed, ...forward);
+		} catch (err) {
+			wrapErr(err);
+		}
+
+		if (result instanceof Promise) {
+			if (this.is_async) {
+				return result.catch(wrapErr);
+			}
+
+			// A sync Command can't wait for this, so refuse rather than let the
+			// handler run on arguments nobody has checked yet.
+			result.catch(() => {});
+			throw new CommandError(
+				'Validator returned a Promise, but Command is not async'
+			);
+		}
+		return result;
+	}
+
+	// Splits string input using this Command's Tokenizer. Arrays are passed
+	// through as-is.
+	#split(parts) {
+		return isString(parts) ?
+			tokenize(this.#tokenizer, parts, this.is_async) :
+			parts;
+	}
+
+	// De-duplicated logic for passing execution errors to the error handler.
+	#executeHandleError(err, ...forward) {
+		err = this.#wrap(err);
 
 		if (this.#handler_err) {
 			return this.#handler_err(err, ...forward);
@@ -910,60 +2702,356 @@ class Command {
 		return this;
 	}
 
+	/**
+	 * Generates detailed help text for this `Command`. This includes the
+	 * description, the usage for every argument set (see
+	 * {@link Command#usage}), any aliases, a table of arguments, and any
+	 * examples. Each
+	 * argument is listed once, with its description (see
+	 * {@link Argument#description}) and details like its type, whether it's
+	 * optional, and its default value. Varargs and rest arguments that are
+	 * not last in their set also list the arguments after them, which take
+	 * the values at the end. Subcommands (see
+	 * {@link Command#subcommand}) are listed as a tree, with their
+	 * descriptions. Sections with nothing to show are left out.
+	 *
+	 * For terminals, the text can be wrapped to a width. Wrapped usage lines
+	 * are indented past the command name, and wrapped descriptions stay in
+	 * their column. The command name and required and optional arguments can
+	 * also be colored with ANSI escape codes.
+	 *
+	 * @category execution
+	 * @param {?Object} options Formatting options:
+	 *     - width - The number of columns to wrap to. By default, lines are
+	 *       not wrapped.
+	 *     - color - `true` to add ANSI colors. Defaults to `false`.
+	 * @throws {SetupError} if `width` is not a positive integer.
+	 * @throws {SetupError} for non-Boolean `color` values.
+	 * @return {external:String} Detailed help text for this `Command`.
+	 * @example
+	 * const cmd = new Command('roll')
+	 *     .description('Rolls some dice')
+	 *     .addArgSet([
+	 *         Argument.int('sides').description('Sides per die'),
+	 *         Argument.int('count').optional(true).default(1),
+	 *     ])
+	 *     .example('roll 6 2');
+	 * cmd.help();
+	 * // roll - Rolls some dice
+	 * //
+	 * // Usage:
+	 * //   roll <sides:int> [count:int=1]
+	 * //
+	 * // Arguments:
+	 * //   <sides>  Sides per die (int, required)
+	 * //   <count>  (int, optional, default 1)
+	 * //
+	 * // Examples:
+	 * //   roll 6 2
+	 * cmd.help({ width: 30, color: process.stdout.isTTY });
+	 */
+	help(options = {}) {
+		const { width, color } = checkFormat(options);
+		const indent = lines => lines.map(line => `  ${line}`);
+
+		const hang = this.path.length + 3;
+		const header = [{ text: this.path, style: 'name' }];
+		const paragraphs = this.desc ? this.desc.split('\n') : [];
+		if (paragraphs.length > 0) {
+			header.push({ text: '-' }, ...textWords(paragraphs.shift()));
+		}
+		const sections = [[
+			...wrapWords(header, width, hang, color),
+			...paragraphs.flatMap(text =>
+				wrapWords(textWords(text), width - hang, 0, color)
+					.map(line => ' '.repeat(hang) + line)
+			),
+		].join('\n')];
+
+		const style = this.#usage_style;
+		const argsets = this.#argsets.length > 0 ? this.#argsets : [[]];
+		// Numbered varargs usage is several words, so it can wrap too
+		const usageWords = arg => arg.is_varargs ?
+			arg.usage(style).split(' ').map((text, i) => ({
+				text, style: colorStyle(arg), sep: i > 0 ? ' ' : null,
+			})) :
+			[{ text: arg.usage(style), style: colorStyle(arg) }];
+		const usage = argsets.flatMap(argset => wrapWords([
+			{ text: this.path, style: 'name' },
+			...argset.flatMap(usageWords),
+		], width - 2, this.path.length + 1, color, style.separator));
+		sections.push(['Usage:', ...indent(usage)].join('\n'));
+
+		if (this.#aliases.length > 0) {
+			sections.push(`Aliases:\n  ${this.#aliases.join(', ')}`);
+		}
+
+		const args = uniqueArguments(this.#argsets);
+		if (args.length > 0) {
+			const labels = args.map(arg => argumentLabel(arg.name, style));
+			const column = Math.max(...labels.map(label => label.length));
+			const rows = args.flatMap((arg, n) => {
+				const label = labels[n];
+				const desc = arg.desc ? `${arg.desc} ` : '';
+				const notes = argumentDetails(arg, this.#argsets, style).join(', ');
+				const details = `${desc}(${notes})`;
+				return wrapWords(textWords(details), width - column - 4, 0, color)
+					.map((line, i) => i > 0 ? ' '.repeat(column + 2) + line :
+						paint(label, colorStyle(arg), color) +
+						' '.repeat(column - label.length + 2) + line
+					);
+			});
+			sections.push(['Arguments:', ...indent(rows)].join('\n'));
+		}
+
+		if (this.#subcommands) {
+			const tree = groupCommands(this.#subcommands.commands)
+				.flatMap(group => group.commands)
+				.flatMap(cmd => commandTree(cmd));
+			if (tree.length > 0) {
+				const rows = summaryLines(tree, true, width - 2, color).flat();
+				sections.push(['Subcommands:', ...indent(rows)].join('\n'));
+			}
+		}
+
+		if (this.#examples.length > 0) {
+			sections.push(['Examples:', ...indent(this.#examples)].join('\n'));
+		}
+
+		return sections.join('\n\n');
+	}
+
+	/**
+	 * Hides or shows this `Command` in {@link CommandRegistry} help listings.
+	 * Hidden commands can still be executed, and detailed help for them can
+	 * still be requested by name.
+	 *
+	 * @category builder
+	 * @param {Boolean} enabled `true` to hide, `false` to show.
+	 * @throws {SetupError} for non-Boolean values.
+	 * @return {Command} instance so we can chain calls.
+	 */
+	hidden(enabled) {
+		this.is_hidden = enabled;
+		return this;
+	}
+
+	/**
+	 * Mounts a {@link CommandRegistry} as the subcommands of this `Command`.
+	 * When this `Command` is executed, and the first part names a `Command` in
+	 * the registry, the rest of the parts are executed by that `Command`
+	 * instead, along with all forwarded values. The registry's default
+	 * handler and help command (if set) work the same way. The registry is
+	 * given this `Command`'s async setting and {@link Tokenizer}.
+	 *
+	 * If the first part does not name a subcommand, this `Command` handles
+	 * the parts itself, as long as it has a handler or argument sets. If not,
+	 * a {@link CommandError} is thrown listing the available subcommands.
+	 * Values thrown from subcommands (and not caught by their own
+	 * {@link Command#error} handlers) are passed to this `Command`'s error
+	 * handler, if it has one. Errors from `Command`s with subcommands, or from subcommands themselves,
+	 * have their {@link CommandError#path} set to the full path of the
+	 * `Command` that failed, and their
+	 * {@link CommandError#full_message} starts with it.
+	 *
+	 * @category builder
+	 * @param {CommandRegistry} registry The registry of subcommands.
+	 * @throws {SetupError} for non-CommandRegistry values.
+	 * @throws {SetupError} if this `Command` already has subcommands.
+	 * @throws {SetupError} if the registry is already mounted on a `Command`.
+	 * @return {Command} instance so we can chain calls.
+	 * @example
+	 * const remotes = new CommandRegistry()
+	 *     .add(new Command('add').addArgSet([
+	 *         new Argument('name'),
+	 *         new Argument('url'),
+	 *     ]))
+	 *     .add(new Command('remove').addArgSet([ new Argument('name') ]));
+	 * const git = new Command('git')
+	 *     .subcommand(new Command('remote').mount(remotes));
+	 * git.execute('remote add origin https://example.com/repo.git');
+	 */
+	mount(registry) {
+		if (!(registry instanceof CommandRegistry)) {
+			throw new SetupError(
+				`registry was ${type(registry)}, expected [object CommandRegistry]`
+			);
+		}
+		if (this.#subcommands) {
+			throw new SetupError(`Command '${this.path}' already has subcommands`);
+		}
+		if (registry[parentKey]) {
+			throw new SetupError(
+				`registry is already mounted on Command '${registry[parentKey].path}'`
+			);
+		}
+
+		registry[parentKey] = this;
+		this.#subcommands = registry
+			.asynchronous(this.is_async)
+			.tokenizer(this.#tokenizer);
+
+		// Keep the usage style of the registry this Command was added to
+		const style = this[parentKey] && this[parentKey].usage_style;
+		if (style) {
+			registry.usageStyle(style);
+		}
+		return this;
+	}
+
 	/**
 	 * Parses the given positional argument array into an Object of values.
 	 * This function does its best to match the given values to an appropriate
 	 * argument set. Since all arguments are positional, error diagnostics are
-	 * limited if this `Command` has multiple argument sets defined.
+	 * limited if this `Command` has multiple argument sets defined. When no
+	 * set takes the given number of parts, the error includes the usage of
+	 * the closest set(s) by number of parts.
 	 *
 	 * @category execution
-	 * @param {external:String[]} parts Array of command parts from
-	 *     {@link Command.split}.
+	 * @param {external:String[]|Token[]} parts Array of command parts from
+	 *     {@link Command.split} or {@link Command.tokenize}.
+	 * @param {?any[]} ...forward Arbitrary additional values passed to default
+	 *     value functions (see {@link Argument#default}).
 	 * @throws {CommandError} if no argument set matches the given parts.
 	 * @throws {CommandError} if any argument preprocessor function throws.
 	 * @return {Args} the parsed {@link external:Object} of arguments.
 	 * @return {Promise<Args>} in async mode.
 	 */
-	parse(parts) {
+	parse(parts, ...forward) {
 		parts = parts || [];
 		const copy = parts.slice(); // Operate on a copy
 
-		const parsed = {};
-		parsed['_'] = parts.slice(); // Store a (second) copy
-
-		let argset;
+		let argsets;
 
 		if (this.#argsets.length <= 1) {
-			argset = this.#argsets[0] || [];
+			argsets = [this.#argsets[0] || []];
 		} else {
-			argset = this.#argsets.find(set => set.length === copy.length);
+			// Prefer sets with exactly one value per argument, then fall back
+			// on sets with optional and varargs arguments.
+			const fits = set => {
+				const range = tokenRange(set);
+				return range.min <= copy.length && copy.length <= range.max;
+			};
+			const exact = set => setLength(set) === copy.length && fits(set);
+			argsets = [
+				...this.#argsets.filter(exact),
+				...this.#argsets.filter(set => !exact(set) && fits(set)),
+			];
 
-			if (!argset) {
-				const err = this.#wrap(new CommandError(
-					'Wrong number of arguments! See command help for details'
-				));
+			if (argsets.length === 0) {
+				const tail = copy.find(part => isToken(part) && part[rawTail]);
+				const err = this.#wrap(tail ?
+					tail[rawTail] : this.#wrongCountError(copy.length)
+				);
 				if (this.is_async) return Promise.reject(err);
 				throw err;
 			}
 		}
 
+		// Keywords (and raw tails, see tokenize) are checked for every set
+		// before any preprocessor runs, so sets that can't match are never
+		// tried. If none match, the set that matched the most is reported.
+		const mismatches = argsets.map(set => checkShape(set, copy));
+		const matching = argsets.filter((set, i) => !mismatches[i]);
+		if (matching.length === 0) {
+			const closest = mismatches.reduce((best, cur) =>
+				cur.index > best.index ? cur : best
+			);
+			const err = this.#wrap(closest.err);
+			if (this.is_async) return Promise.reject(err);
+			throw err;
+		}
+
+		// Several sets can still fit the same input, so try each one in the
+		// order they were added until one parses. If none of them do, the
+		// error from the set that parsed the most arguments is the most
+		// relevant (the first one of those, if there's a tie).
+		const progress = matching.map(() => ({ parsed: 0 }));
+		const furthest = errs => errs.reduce((best, err, i) =>
+			progress[i].parsed > progress[best].parsed ? i : best, 0
+		);
+		if (this.is_async) {
+			const errs = [];
+			const tryFrom = index =>
+				this.#parseArgset(matching[index], copy, forward, progress[index])
+				.catch(err => {
+					errs.push(err);
+					if (index + 1 >= matching.length) {
+						throw errs[furthest(errs)];
+					}
+					return tryFrom(index + 1);
+				});
+			return tryFrom(0);
+		} else {
+			const errs = [];
+			for (const [index, argset] of matching.entries()) {
+				try {
+					return this.#parseArgset(argset, copy, forward, progress[index]);
+				} catch (err) {
+					errs.push(err);
+				}
+			}
+			throw errs[furthest(errs)];
+		}
+	}
+
+	// Parses parts with a single argument set. Counts the Arguments that parse
+	// successfully in `progress`.
+	#parseArgset(argset, parts, forward, progress) {
+		const parsed = {};
+		parsed['_'] = parts.map(tokenValue); // Store a (second) copy
+
 		// If this command has multiple argument sets, the above logic ensures
 		// we have the correct number of arguments once we get here.
-		// All the validation in addArgSet guarantees varargs arguments
-		// only appear once, as the last argument in the largest set.
+		// Each argument gets its own slice of the parts, and anything left
+		// over is extra.
 		// Also yeah, I know we're modifying things by reference here. It's
 		// weird, but so is mixing async and sync.
+		const slices = sliceTokens(argset, parts);
+		const extras = parts.slice(slices.reduce((sum, s) => sum + s.length, 0));
+
+		// Literals were already checked by parse, and their values aren't
+		// stored.
+		const capturing = argset
+			.map((arg, i) => [arg, slices[i], i])
+			.filter(([arg]) => !arg.is_literal);
+
+		// In collect mode, keep going after errors so they can all be
+		// reported together at the end.
+		const errors = [];
+		const collect = func => {
+			try {
+				func();
+				progress.parsed++;
+			} catch (err) {
+				if (!this.is_collect_errors) throw err;
+				errors.push(err);
+			}
+		};
+		const collectAsync = func => func().then(() => { progress.parsed++; }, err => {
+			if (!this.is_collect_errors) throw err;
+			errors.push(err);
+		});
+
 		if (this.is_async) {
-			return executeSequentially(
-				argset, arg => this.#parseAsync(arg, parsed, copy)
+			return executeSequentially(capturing, ([arg, parts, index]) =>
+				collectAsync(() => this.#parseAsync(arg, parsed, parts, {
+					args: { ...parsed }, index, forward,
+				}))
 			)
-			.then(() => this.#parseCheckExtraArgs(copy))
+			.then(() => collect(() => this.#parseCheckExtraArgs(extras)))
+			.then(() => this.#throwCollected(errors))
 			.then(() => parsed)
 			.catch(err => { throw this.#wrap(err) });
 		} else {
 			try {
-				argset.forEach(arg => this.#parseSync(arg, parsed, copy));
-				this.#parseCheckExtraArgs(copy);
+				capturing.forEach(([arg, parts, index]) =>
+					collect(() => this.#parseSync(arg, parsed, parts, {
+						args: { ...parsed }, index, forward,
+					}))
+				);
+				collect(() => this.#parseCheckExtraArgs(extras));
+				this.#throwCollected(errors);
 				return parsed;
 			} catch (err) {
 				throw this.#wrap(err);
@@ -971,25 +3059,56 @@ class Command {
 		}
 	}
 
+	// Throws the errors gathered in collect mode, combined into one
+	#throwCollected(errors) {
+		if (errors.length > 0) {
+			const problems = errors.length === 1 ? 'problem' : 'problems';
+			const err = new CommandError(
+				`Bad arguments! Found ${errors.length} ${problems}`
+			);
+			err.errors = errors.map(nested => this.#wrap(nested));
+			throw err;
+		}
+	}
+
+	// Builds the error for when no argument set takes the given number of
+	// parts, pointing the user at the set(s) closest to what they gave.
+	#wrongCountError(count) {
+		const distance = set => {
+			const range = tokenRange(set);
+			return Math.max(range.min - count, count - range.max, 0);
+		};
+		const closest = Math.min(...this.#argsets.map(distance));
+		const nearest = this.#argsets.filter(set => distance(set) === closest);
+
+		const expected = nearest
+			.map(set => showCount(tokenRange(set)))
+			.filter((text, index, all) => all.indexOf(text) === index)
+			.join(' or ');
+		const usage = nearest
+			.map(set => `Usage: ${this.#usageFor(set)}`)
+			.join('\n');
+
+		return new CommandError(
+			`Wrong number of arguments! Expected ${expected}, got ${count}\n${usage}`
+		);
+	}
+
 	// The sync version of argument parsing
-	#parseSync(arg, parsed, parts_ref) {
-		if (arg.is_varargs) {
-			parsed[arg.name] = arg.parse(parts_ref);
-			parts_ref.length = 0; // Clear array to avoid below length Error
+	#parseSync(arg, parsed, parts, context) {
+		if (arg.is_varargs || arg.is_rest || arg.tuple_names) {
+			parsed[arg.name] = arg[parseInSet](parts, context);
 		} else {
-			parsed[arg.name] = arg.parse(parts_ref.shift());
+			parsed[arg.name] = arg[parseInSet](parts[0], context);
 		}
 	}
 
 	// The async version of argument parsing
-	async #parseAsync(arg, parsed, parts_ref) {
-		if (arg.is_varargs) {
-			parsed[arg.name] = await arg.parse(parts_ref);
-			parts_ref.length = 0; // Clear array since varargs parsed all of it.
-			// This is safe to do here because varargs Arguments must be last in
-			// the arg list, and we execute argument parsing sequentially.
+	async #parseAsync(arg, parsed, parts, context) {
+		if (arg.is_varargs || arg.is_rest || arg.tuple_names) {
+			parsed[arg.name] = await arg[parseInSet](parts, context);
 		} else {
-			parsed[arg.name] = await arg.parse(parts_ref.shift());
+			parsed[arg.name] = await arg[parseInSet](parts[0], context);
 		}
 	}
 
@@ -997,34 +3116,212 @@ class Command {
 	#parseCheckExtraArgs(parts_ref) {
 		if (parts_ref.length > 0) {
 			// We'll catch and wrap this later
-			throw new CommandError(
+			throw setErrorSpan(new CommandError(
 				'Too many arguments! Extras: ' +
-				parts_ref.map(val => `'${val}'`).join(', '),
+				parts_ref.map(val => `'${tokenValue(val)}'`).join(', '),
+			), parts_ref[0], parts_ref[parts_ref.length - 1]);
+		}
+	}
+
+	/**
+	 * Adds a subcommand to this `Command`, so commands can be nested like
+	 * `git remote add <name> <url>`. Subcommands are kept in a
+	 * {@link CommandRegistry} (see {@link Command#mount}), which is created
+	 * the first time this is called. Subcommands must have unique names.
+	 *
+	 * @category builder
+	 * @param {Command} command The subcommand to add.
+	 * @throws {SetupError} for non-Command values.
+	 * @throws {SetupError} if this `Command` already has a subcommand with the
+	 *     given name.
+	 * @throws {SetupError} if the subcommand was already added to another
+	 *     `Command` or {@link CommandRegistry}.
+	 * @return {Command} instance so we can chain calls.
+	 * @example
+	 * const git = new Command('git')
+	 *     .subcommand(new Command('remote')
+	 *         .subcommand(new Command('add').addArgSet([
+	 *             new Argument('name'),
+	 *             new Argument('url'),
+	 *         ]))
+	 *     );
+	 * git.execute('remote add origin https://example.com/repo.git');
+	 */
+	subcommand(command) {
+		if (this.#subcommands) {
+			this.#subcommands.add(command);
+		} else {
+			// Add first, so nothing is mounted if the command is rejected
+			this.mount(new CommandRegistry().add(command));
+		}
+		return this;
+	}
+
+	/**
+	 * Gets a plain {@link external:Object} describing this `Command`, suitable
+	 * for serializing with `JSON.stringify`. This includes the name, aliases,
+	 * description, category, usage lines, argument sets, examples, and
+	 * subcommands (described the same way). Each
+	 * {@link Argument} is described by its name, type, description, and
+	 * settings. Default values that are functions are given as `null`.
+	 *
+	 * @category execution
+	 * @return {external:Object} Description of this `Command`.
+	 * @example
+	 * const cmd = new Command('roll')
+	 *     .addArgSet([ Argument.int('sides') ]);
+	 * JSON.stringify(cmd);
+	 * // {"name":"roll","description":null,...,"argsets":[[{"name":"sides",...
+	 */
+	toJSON() {
+		return {
+			name: this.name,
+			aliases: this.aliases,
+			description: this.desc,
+			category: this.category_name,
+			hidden: this.is_hidden,
+			path: this.path,
+			usage: this.usage().split('\n'),
+			argsets: this.#argsets.map(argset => argset.map(argumentData)),
+			examples: this.examples,
+			subcommands: this.#subcommands ?
+				Array.from(this.#subcommands.commands.values())
+					.map(cmd => cmd.toJSON()) :
+				[],
+		};
+	}
+
+	/**
+	 * Sets up a {@link Tokenizer} function for splitting string input given to
+	 * {@link Command#execute}. Pre-split {@link external:Array}s of command
+	 * parts are not affected by this.
+	 *
+	 * A `Command` added to a {@link CommandRegistry} will have its tokenizer
+	 * replaced with the registry's tokenizer. This tokenizer is also applied to
+	 * all subcommands (see {@link Command#subcommand}).
+	 *
+	 * @category builder
+	 * @param {?Tokenizer} func The tokenizer function. If omitted, uses
+	 *     {@link Command.tokenize}.
+	 * @throws {SetupError} for non-Function values.
+	 * @return {Command} instance so we can chain calls.
+	 */
+	tokenizer(func) {
+		func = func || Command.tokenize;
+
+		if (!isFunction(func) && !isAsyncFunction(func)) {
+			throw new SetupError(`tokenizer was ${type(func)}, ` +
+				'expected [object Function] or [object AsyncFunction]'
 			);
 		}
+
+		this.#tokenizer = func;
+		if (this.#subcommands) {
+			this.#subcommands.tokenizer(func);
+		}
+		return this;
 	}
 
 	/**
 	 * Generates a string describing the usage of this `Command`.
 	 * If this command has multiple argument sets, each version of the command
 	 * is in the string, separated by a newline. If the command has no argument
-	 * sets, this just returns the command name.
+	 * sets, this just returns the command name. Subcommands start with their
+	 * full path (see {@link Command#path}).
+	 *
+	 * Arguments are written with this `Command`'s {@link UsageStyle} (see
+	 * {@link Command#usageStyle}).
 	 *
 	 * @category execution
 	 * @return {external:String} description of command usage.
 	 */
 	usage() {
 		// TODO consider "fullUsage" that also includes description, or take bool
-		const use = this.#argsets.map(argset =>
-			`${this.name} ${argset.map(arg => arg.usage()).join(' ')}`
-		).join('\n');
+		const use = this.#argsets.map(argset => this.#usageFor(argset)).join('\n');
 		// Just return the command name if there are no arguments.
-		return use || `${this.name}`;
+		return use || `${this.path}`;
+	}
+
+	// Usage for a single argument set
+	#usageFor(argset) {
+		return [this.path, ...argset.map(arg => arg.usage(this.#usage_style))]
+			.join(this.#usage_style.separator);
+	}
+
+	/**
+	 * Sets the {@link UsageStyle} this `Command` uses to write out its
+	 * arguments in {@link Command#usage}, {@link Command#help}, and error
+	 * messages.
+	 *
+	 * A `Command` added to a {@link CommandRegistry} with a usage style will
+	 * have its usage style replaced with the registry's usage style.
+	 *
+	 * @category builder
+	 * @param {?UsageStyle} style The usage style. If omitted, uses the default
+	 *     style.
+	 * @throws {SetupError} for invalid styles.
+	 * @return {Command} instance so we can chain calls.
+	 * @example
+	 * const cmd = new Command('cp')
+	 *     .addArgSet([
+	 *         new Argument('src').varargs(true),
+	 *         new Argument('dest'),
+	 *     ])
+	 *     .usageStyle({ required: ['', ''], varargs: 'ellipsis', uppercase: true });
+	 * cmd.usage(); // 'cp SRC... DEST'
+	 */
+	usageStyle(style) {
+		this.usage_style = style || {};
+		return this;
+	}
+
+	// Applies this Command's usage style to all known Arguments too, for their
+	// error messages.
+	#applyUsageStyleToArgsets() {
+		this.#argsets.forEach(argset =>
+			argset.forEach(arg => { arg[styleKey] = this.#usage_style; })
+		);
+	}
+
+	/**
+	 * Adds a {@link Validator} that checks the parsed {@link Args} as a whole
+	 * when this `Command` is executed. Validators run in the order they were
+	 * added, after {@link Command#parse} and before the {@link Handler}.
+	 * Anything a validator throws stops execution and goes to the error
+	 * handler (see {@link Command#error}) like any other {@link CommandError}.
+	 * Async validators need an async `Command` (see {@link Command#asynchronous});
+	 * outside async mode, a validator returning a Promise fails execution.
+	 *
+	 * @category builder
+	 * @param {Validator} func The validator function.
+	 * @throws {SetupError} for non-Function values.
+	 * @return {Command} instance so we can chain calls.
+	 * @example
+	 * const cmd = new Command('random')
+	 *     .addArgSet([ Argument.int('min'), Argument.int('max') ])
+	 *     .validate(args => {
+	 *         if (args.min >= args.max) throw new Error('min must be less than max');
+	 *     });
+	 * cmd.execute('10 5'); // CommandError: "Invalid arguments: min must be less than max"
+	 */
+	validate(func) {
+		if (!isFunction(func) && !isAsyncFunction(func)) {
+			throw new SetupError(`validator was ${type(func)}, ` +
+				'expected [object Function] or [object AsyncFunction]'
+			);
+		}
+
+		this.#validators.push(func);
+		return this;
 	}
 
 	// Injects this command instance into CommandErrors
 	#wrap(err) {
-		if (err instanceof CommandError) {
+		if (err instanceof CommandError && err.command !== this) {
+			// Commands in a tree say which one failed, like "git remote add: ..."
+			if (this.#subcommands || this.path !== this.name) {
+				err.path = this.path;
+			}
 			err.command = this;
 		}
 		return err;
@@ -1053,6 +3350,22 @@ class CommandError extends Error {
 	 */
 	command = undefined;
 
+	/**
+	 * The individual errors combined into this `CommandError`, when a
+	 * {@link Command} collects all argument errors (see
+	 * {@link Command#collectErrors}).
+	 *
+	 * @default null
+	 */
+	errors = null;
+
+	/**
+	 * The full command string this `CommandError` relates to, if known.
+	 *
+	 * @default null
+	 */
+	input = null;
+
 	/**
 	 * A simple flag callers can check to see if an `Error` is a `CommandError`.
 	 * This field is always `true`, and is provided only as an alternative to
@@ -1068,6 +3381,29 @@ class CommandError extends Error {
 	 */
 	nested = null;
 
+	/**
+	 * The full path of the {@link Command} this `CommandError` originated in,
+	 * when that `Command` is part of a tree of subcommands (see
+	 * {@link Command#path}). {@link CommandError#full_message} starts with
+	 * this.
+	 *
+	 * @default null
+	 * @example
+	 * 'git remote add'
+	 */
+	path = null;
+
+	/**
+	 * The part of {@link CommandError#input} that caused this error, if known.
+	 * This is an {@link external:Object} with a `start` and `end` index, like
+	 * {@link Token}.
+	 *
+	 * @default null
+	 * @example
+	 * { start: 4, end: 9 }
+	 */
+	span = null;
+
 	constructor(message, nested_err) {
 		super(message);
 		this.nested = nested_err;
@@ -1076,16 +3412,68 @@ class CommandError extends Error {
 	/**
 	 * Gets this `CommandError`'s `message` combined with `nested.message`, if
 	 * `nested` is an {@link external:Error}. Otherwise, this value is identical
-	 * to {@link CommandError#message}.
+	 * to {@link CommandError#message}. If this error combines other
+	 * {@link CommandError#errors}, each of their full messages follows on its
+	 * own line. If {@link CommandError#path} is set, the message starts with
+	 * it, like `git remote add: Too few arguments!`.
 	 */
 	get full_message() {
+		const path = this.path ? `${this.path}: ` : '';
+		return path + this.#fullMessageWithoutPath();
+	}
+
+	// Errors combined into this one come from the same Command, so their
+	// path is only shown once, at the start.
+	#fullMessageWithoutPath() {
 		let msg = this.message;
 		// TODO handle wrapping another CommandError?
 		if (this.nested instanceof Error && this.nested.message) {
 			msg += `: ${this.nested.message}`;
 		}
+		if (this.errors) {
+			this.errors.forEach(err => {
+				msg += '\n' + ((err instanceof CommandError) ?
+					err.#fullMessageWithoutPath() : err.message);
+			});
+		}
 		return msg;
 	}
+
+	/**
+	 * Renders the line of {@link CommandError#input} that caused this error,
+	 * with `^` markers underneath the offending part. Only works when the
+	 * error can be traced back to the input, such as for errors thrown from
+	 * an {@link Argument}'s {@link Preprocessor} when the input was split
+	 * with {@link Command.tokenize}.
+	 *
+	 * @return {?external:String} The highlighted input, or `null` if the
+	 *     problem area of the input is not known.
+	 * @example
+	 * try {
+	 *     registry.execute('add 12 abc');
+	 * } catch (err) {
+	 *     console.log(err.highlight()); // "add 12 abc\n       ^^^"
+	 * }
+	 */
+	highlight() {
+		if (!isString(this.input) || !this.span) {
+			return null;
+		}
+
+		const { start, end } = this.span;
+		const line_start = this.input.slice(0, start).lastIndexOf('\n') + 1;
+		let line_end = this.input.indexOf('\n', start);
+		if (line_end === -1) {
+			line_end = this.input.length;
+		}
+
+		const line = this.input.slice(line_start, line_end);
+		// Keep tabs so the markers line up with what the user sees
+		const padding = line.slice(0, start - line_start).replace(/[^\t]/g, ' ');
+		const width = Math.max(Math.min(end, line_end) - start, 1);
+
+		return `${line}\n${padding}${'^'.repeat(width)}`;
+	}
 }
 
 /**
@@ -1125,32 +3513,86 @@ class CommandRegistry {
 	}
 
 	/**
-	 * An optional default handler for the help command. Returns the usage for
-	 * the given command, according to its {@link Command#usage} function. If no
-	 * command name is given, returns the usage for all known commands,
-	 * separated by newlines.
+	 * Creates a handler for the help command that works like
+	 * {@link CommandRegistry.defaultHelpHandler}, but with the given options.
+	 *
+	 * @param {?Object} options Options for the help listing:
+	 *     - page_size - The number of commands to list per page. Defaults to 10.
+	 * @throws {SetupError} if `page_size` is not a positive integer.
+	 * @return {HelpHandler} The help handler function.
+	 * @example
+	 * registry.helpHandler(CommandRegistry.createHelpHandler({ page_size: 5 }));
+	 */
+	static createHelpHandler(options = {}) {
+		const page_size = checkPageSize(options);
+		return (args, commands) => generateHelp(args, commands, { page_size });
+	}
+
+	/**
+	 * Creates a handler for the help command that formats its output for a
+	 * terminal. This works like {@link CommandRegistry.defaultHelpHandler},
+	 * except that lines are wrapped to a width, command summaries have their
+	 * descriptions lined up in a column, and colors can be added with ANSI
+	 * escape codes. Detailed help for a single command uses the same options
+	 * with {@link Command#help}. Output without colors is plain text.
+	 *
+	 * @param {?Object} options Options for the help output:
+	 *     - width - The number of columns to wrap to. Defaults to 80.
+	 *     - color - `true` to color command names and required and optional
+	 *       arguments. Defaults to `false`.
+	 *     - page_size - The number of commands to list per page. Defaults
+	 *       to 10.
+	 * @throws {SetupError} if `width` or `page_size` is not a positive integer.
+	 * @throws {SetupError} for non-Boolean `color` values.
+	 * @return {HelpHandler} The help handler function.
+	 * @example
+	 * registry.helpHandler(CommandRegistry.createTerminalHelpHandler({
+	 *     width: process.stdout.columns,
+	 *     color: process.stdout.isTTY,
+	 * }));
+	 */
+	static createTerminalHelpHandler(options = {}) {
+		const page_size = checkPageSize(options);
+		const format = checkFormat({
+			width: options.width == null ? 80 : options.width,
+			color: options.color,
+		});
+
+		return (args, commands) => generateHelp(args, commands, {
+			page_size, columns: true, ...format,
+		});
+	}
+
+	/**
+	 * An optional default handler for the help command. Returns the detailed
+	 * help for the given command, according to its {@link Command#help}
+	 * function. Subcommands can be given by their path, like `git remote`.
+	 * If no command name is given, returns a one-line summary of each known
+	 * command, grouped by category (see {@link Command#category}), with
+	 * subcommands indented under their parent command. Hidden commands (see
+	 * {@link Command#hidden}) are left out of the summary. The summary is
+	 * split into pages of 10 commands (not counting subcommands), and a page
+	 * number can be given in place of the command name. A category name can
+	 * also be given to list only the commands in that category, followed by
+	 * an optional page number. Use {@link CommandRegistry.createHelpHandler}
+	 * for a different page size.
 	 *
 	 * @see {@link HelpHandler}
 	 * @param {Args} args Argument {@link external:Object} containing at least
 	 *     `command`.
 	 * @param {Map<Command>} commands The {@link external:Map} of `Commands` in
 	 *     the registry.
-	 * @return {external:String} Description of the given command, or all known
-	 *     commands.
+	 * @return {external:String} Description of the given command, or a page of
+	 *     known commands.
+	 * @example
+	 * registry.help();             // First page of all commands
+	 * registry.help('2');          // Second page of all commands
+	 * registry.help('say');        // Detailed help for the 'say' command
+	 * registry.help('git remote'); // Detailed help for a subcommand
+	 * registry.execute('help fun 2'); // Second page of the 'fun' category
 	 */
 	static defaultHelpHandler(args, commands) {
-		if (args.command) {
-			const cmd = commands.get(args.command);
-			if (cmd) {
-				return cmd.usage();
-			} else {
-				return `Unknown command '${args.command}'`;
-			}
-		} else {
-			return Array.from(commands.values())
-				.map(cmd => cmd.usage())
-				.join('\n');
-		}
+		return generateHelp(args, commands, { page_size: 10 });
 	}
 
 	/**
@@ -1161,6 +3603,8 @@ class CommandRegistry {
 	commands = new Map();
 	#is_async = false;
 	#default_handler = null;
+	#tokenizer = Command.tokenize;
+	#usage_style = null;
 
 	/**
 	 * Directly get and set asynchronous mode for this `CommandRegistry`.
@@ -1206,6 +3650,23 @@ class CommandRegistry {
 		return this.#default_handler;
 	}
 
+	/**
+	 * Directly get and set the {@link UsageStyle} for this `CommandRegistry`.
+	 * Setting this has the same effect as calling
+	 * {@link CommandRegistry#usageStyle}.
+	 *
+	 * @category accessor
+	 * @see {@link CommandRegistry#usageStyle}
+	 * @default null
+	 */
+	set usage_style(style) {
+		this.#usage_style = checkUsageStyle(style);
+		this.#applyUsageStyleToCommands();
+	}
+	get usage_style() {
+		return this.#usage_style && checkUsageStyle(this.#usage_style);
+	}
+
 	/**
 	 * Creates a new `CommandRegistry`.
 	 */
@@ -1213,14 +3674,19 @@ class CommandRegistry {
 
 	/**
 	 * Adds a {@link Command} to this `CommandRegistry`. All commands must have
-	 * unique names. If this `CommandRegistry` is in async mode, the
-	 * `Command` will be switched to async mode too.
+	 * unique names and aliases (see {@link Command#alias}). If this
+	 * `CommandRegistry` is in async mode, the `Command` will be switched to
+	 * async mode too. The `Command` will also be given this
+	 * `CommandRegistry`'s {@link Tokenizer}, and its {@link UsageStyle} if it
+	 * has one.
 	 *
 	 * @category builder
 	 * @param {Command} command The command to add.
 	 * @throws {SetupError} For non-Command values.
 	 * @throws {SetupError} If the `CommandRegistry` already has a `Command`
-	 *     with the given name.
+	 *     with the given name or one of its aliases.
+	 * @throws {SetupError} If the `Command` was already added to another
+	 *     `CommandRegistry` (including as a subcommand).
 	 * @return {CommandRegistry} instance so we can chain calls.
 	 */
 	add(command) {
@@ -1229,12 +3695,18 @@ class CommandRegistry {
 				`command was ${type(command)}, expected [object Command]`
 			);
 		}
-		if (this.commands.has(command.name)) {
-			throw new SetupError(`Defined duplicate command '${command.name}'`);
+		if (command[parentKey] && command[parentKey] !== this) {
+			throw new SetupError(
+				`Command '${command.path}' was already added to a CommandRegistry`
+			);
 		}
+		checkNamesFree(this.commands, [command.name, ...command.aliases], command);
 
+		command[parentKey] = this;
 		this.commands.set(command.name, command);
 		this.#applyAsyncToCommands();
+		this.#applyTokenizerToCommands();
+		this.#applyUsageStyleToCommands();
 		return this;
 	}
 
@@ -1283,16 +3755,19 @@ class CommandRegistry {
 	 * Executes a string (or array) as a command. Additional arbitrary arguments
 	 * can be forwarded to the command handler, and the value returned from the
 	 * command handler will bubble up and return from this function. If this
-	 * `CommandRegistry` does not have a command matching the given string, this
-	 * is either a no-op, or the default command handler is called (if set). If
-	 * the given command's name is `help`, this call is equivalent to calling
-	 * {@link CommandRegistry#help}.
+	 * `CommandRegistry` does not have a command matching the given string (by
+	 * name or alias), this is either a no-op, or the default command handler
+	 * is called (if set). If the given command's name is `help`, this call is
+	 * equivalent to calling {@link CommandRegistry#help}.
 	 *
 	 * @category execution
 	 * @see {@link Command.execute}
-	 * @param {external:String|external:String[]} parts A string containing a
-	 *     command, or a pre-split {@link external:Array} of command parts.
+	 * @param {external:String|external:String[]|Token[]} parts A string
+	 *     containing a command, or a pre-split {@link external:Array} of
+	 *     command parts.
 	 * @param {?any[]} ...forward Arbitrary additional values passed to handler.
+	 * @throws {CommandError} for anything thrown within the {@link Tokenizer},
+	 *     when given a string.
 	 * @throws {CommandError} Wraps anything thrown in handler.
 	 * @return {?any} Return value forwarded back to caller.
 	 * @return {Promise<?any>} In async mode.
@@ -1306,27 +3781,35 @@ class CommandRegistry {
 	 * registry.execute(msg.content, msg);
 	 */
 	execute(parts, ...forward) {
-		const executeInner = () => {
-			if (isString(parts)) {
-				parts = Command.split(parts);
-			}
-			const cmd_name = parts.shift();
+		const executeInner = parts => {
+			const cmd_part = parts.shift();
+			const cmd_name = tokenValue(cmd_part);
+			const cmd = findCommand(this.commands, cmd_name);
 
-			if (this.commands.has(cmd_name)) {
+			if (cmd) {
 				const mod_forward = [...forward];
-				if (cmd_name === 'help') {
+				if (cmd.name === 'help') {
 					mod_forward.unshift(this.commands);
 				}
 
-				return this.commands.get(cmd_name).execute(parts, ...mod_forward);
-			} else if (this.default_handler) {
-				return this.default_handler([cmd_name, ...parts], ...forward);
+				return cmd.execute(parts, ...mod_forward);
+			}
+
+			checkRawTail([cmd_part, ...parts]);
+			if (this.default_handler) {
+				return this.default_handler(
+					[cmd_name, ...parts.map(tokenValue)], ...forward
+				);
 			}
 		};
 
+		if (isString(parts)) {
+			parts = tokenize(this.#tokenizer, parts, this.is_async);
+		}
+
 		return this.is_async ?
-			new Promise(resolve => resolve(executeInner())) :
-			executeInner();
+			new Promise(resolve => resolve(parts)).then(executeInner) :
+			executeInner(parts);
 	}
 
 	/**
@@ -1339,8 +3822,9 @@ class CommandRegistry {
 	 *
 	 * @category execution
 	 * @param {?external:String} cmd_name The name of a command to request help
-	 *     for. In order to omit this value while providing forwarded arguments,
-	 *     pass in a falsy value, like `null`.
+	 *     for. With the default help handler, this can also be a category name
+	 *     or page number. In order to omit this value while providing
+	 *     forwarded arguments, pass in a falsy value, like `null`.
 	 * @param {?any[]} ...forward Arbitrary additional values passed to handler.
 	 * @throws {CommandError} Wraps anything thrown in handler.
 	 * @return {?any} Return value forwarded back to caller.
@@ -1353,8 +3837,9 @@ class CommandRegistry {
 	 */
 	help(cmd_name, ...forward) {
 		// TODO Maybe registries should come with the help command set up already?
-		cmd_name = cmd_name || '';
-		return this.execute(`help ${cmd_name}`, ...forward);
+		// Pass an Array so the command name doesn't go through the Tokenizer.
+		const parts = cmd_name ? ['help', `${cmd_name}`] : ['help'];
+		return this.execute(parts, ...forward);
 	}
 
 	/**
@@ -1377,7 +3862,7 @@ class CommandRegistry {
 		if (!this.commands.has('help')) {
 			this.add(new Command('help')
 				.description('Generates command help text')
-				.addArgSet([new Argument('command').optional(true)])
+				.addArgSet([new Argument('command').rest(true).optional(true)])
 				.handler(func)
 			);
 		}
@@ -1385,12 +3870,958 @@ class CommandRegistry {
 		this.commands.get('help').handler(func);
 		return this;
 	}
-}
 
-async function executeSequentially(values, func) {
-	for (const val of values) {
-		await func(val);
-	}
+	/**
+	 * Gets a plain {@link external:Object} describing every {@link Command} in
+	 * this `CommandRegistry`, suitable for serializing with `JSON.stringify`.
+	 * Each `Command` is described by {@link Command#toJSON}. Hidden commands
+	 * are included, with `hidden` set to `true`.
+	 *
+	 * @category execution
+	 * @return {external:Object} Object with a `commands` Array.
+	 * @example
+	 * // Serve command definitions to a web dashboard
+	 * response.json(registry.toJSON());
+	 */
+	toJSON() {
+		return {
+			commands: Array.from(this.commands.values()).map(cmd => cmd.toJSON()),
+		};
+	}
+
+	/**
+	 * Sets up a {@link Tokenizer} function for splitting string input given to
+	 * {@link CommandRegistry#execute}. This tokenizer is also applied to all
+	 * {@link Command}s in this `CommandRegistry`.
+	 *
+	 * @category builder
+	 * @param {?Tokenizer} func The tokenizer function. If omitted, uses
+	 *     {@link Command.tokenize}.
+	 * @throws {SetupError} for non-Function values.
+	 * @return {CommandRegistry} instance so we can chain calls.
+	 * @example
+	 * // Split back-to-back Discord mentions like "<@!1234><@!5678>" too
+	 * registry.tokenizer(string => string.split(/\s+|(?<=>)(?=<)/));
+	 */
+	tokenizer(func) {
+		func = func || Command.tokenize;
+
+		if (!isFunction(func) && !isAsyncFunction(func)) {
+			throw new SetupError(`tokenizer was ${type(func)}, ` +
+				'expected [object Function] or [object AsyncFunction]'
+			);
+		}
+
+		this.#tokenizer = func;
+		this.#applyTokenizerToCommands();
+		return this;
+	}
+
+	// Recursively apply this CommandRegistry's tokenizer to all commands.
+	#applyTokenizerToCommands() {
+		this.commands.forEach(cmd => cmd.tokenizer(this.#tokenizer));
+	}
+
+	/**
+	 * Generates a troff man page documenting every {@link Command} in this
+	 * `CommandRegistry`, for use with `man`. Commands are grouped by category
+	 * (see {@link Command#category}), and hidden commands are left out. Each
+	 * command lists its usage, arguments, and examples, like
+	 * {@link Command#help}. Subcommands follow their parent command, under
+	 * their full path.
+	 *
+	 * @category execution
+	 * @param {Object} options Options for the man page:
+	 *     - name - The name of the program. Required.
+	 *     - description - A short description of the program. Optional.
+	 *     - section - The manual section. Defaults to 1.
+	 * @throws {SetupError} for missing or non-String names.
+	 * @return {external:String} The man page source.
+	 * @example
+	 * fs.writeFileSync('mytool.1', registry.toManPage({ name: 'mytool' }));
+	 */
+	toManPage(options = {}) {
+		const name = options.name;
+		const section = options.section == null ? 1 : options.section;
+		if (!isString(name)) {
+			throw new SetupError(`name was ${type(name)}, expected [object String]`);
+		}
+		if (!name) {
+			throw new SetupError('name was empty string');
+		}
+
+		const lines = [
+			`.TH "${manEscape(name.toUpperCase())}" "${manEscape(`${section}`)}"`,
+			'.SH NAME',
+			options.description ?
+				`${manEscape(name)} \\- ${manEscape(options.description)}` :
+				manEscape(name),
+		];
+
+		groupCommands(this.commands).forEach(group => {
+			lines.push(`.SH ${group.name ?
+				manEscape(group.name.toUpperCase()) :
+				'COMMANDS'
+			}`);
+			group.commands.flatMap(cmd => commandTree(cmd)).forEach(({ cmd }) => {
+				lines.push(`.SS ${manEscape(cmd.path)}`);
+				if (cmd.desc) {
+					lines.push(manEscape(cmd.desc));
+				}
+				if (cmd.aliases.length > 0) {
+					lines.push('.PP', manEscape(`Aliases: ${cmd.aliases.join(', ')}`));
+				}
+				lines.push('.PP', '.nf', manEscape(cmd.usage()), '.fi');
+				uniqueArguments(cmd.argsets).forEach(arg => {
+					const desc = arg.desc ? `${arg.desc} ` : '';
+					lines.push(
+						'.TP',
+						`.B ${manEscape(argumentLabel(arg.name, cmd.usage_style))}`,
+						manEscape(`${desc}(${argumentDetails(
+							arg, cmd.argsets, cmd.usage_style
+						).join(', ')})`)
+					);
+				});
+				if (cmd.examples.length > 0) {
+					lines.push('.PP', 'Examples:', '.RS', '.nf',
+						...cmd.examples.map(manEscape),
+						'.fi', '.RE'
+					);
+				}
+			});
+		});
+
+		return lines.join('\n') + '\n';
+	}
+
+	/**
+	 * Generates Markdown documenting every {@link Command} in this
+	 * `CommandRegistry`, e.g. for a documentation site. Commands are grouped
+	 * under a heading for each category (see {@link Command#category}), and
+	 * hidden commands are left out. Each command gets a heading, followed by
+	 * its description, usage, a table of arguments, and examples, like
+	 * {@link Command#help}. Subcommands follow their parent command, under
+	 * a heading with their full path.
+	 *
+	 * @category execution
+	 * @return {external:String} The Markdown text.
+	 * @example
+	 * fs.writeFileSync('docs/commands.md', registry.toMarkdown());
+	 */
+	toMarkdown() {
+		const groups = groupCommands(this.commands);
+		const heading = groups.some(group => group.name) ? '###' : '##';
+		const code = lines => ['```', ...lines, '```'].join('\n');
+		const cell = text => text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+		const sections = [];
+
+		groups.forEach(group => {
+			if (group.name) {
+				sections.push(`## ${group.name}`);
+			}
+			group.commands.flatMap(cmd => commandTree(cmd)).forEach(({ cmd }) => {
+				sections.push(`${heading} ${cmd.path}`);
+				if (cmd.desc) {
+					sections.push(cmd.desc);
+				}
+				if (cmd.aliases.length > 0) {
+					sections.push('Aliases: ' +
+						cmd.aliases.map(alias => `\`${alias}\``).join(', ')
+					);
+				}
+				sections.push(code(cmd.usage().split('\n')));
+
+				const args = uniqueArguments(cmd.argsets);
+				if (args.length > 0) {
+					sections.push([
+						'| Argument | Description | Details |',
+						'| --- | --- | --- |',
+						...args.map(arg =>
+							`| \`${cell(argumentLabel(arg.name, cmd.usage_style))}\` | ` +
+							`${cell(arg.desc || '')} | ` +
+							`${cell(argumentDetails(
+								arg, cmd.argsets, cmd.usage_style
+							).join(', '))} |`
+						),
+					].join('\n'));
+				}
+
+				if (cmd.examples.length > 0) {
+					sections.push('Examples:', code(cmd.examples));
+				}
+			});
+		});
+
+		return sections.join('\n\n') + '\n';
+	}
+
+	/**
+	 * Sets the {@link UsageStyle} for all {@link Command}s in this
+	 * `CommandRegistry` and their subcommands, including ones added later.
+	 * This replaces any usage style set on the commands themselves. Without
+	 * this, each `Command` keeps its own usage style.
+	 *
+	 * @category builder
+	 * @param {?UsageStyle} style The usage style. If omitted, uses the default
+	 *     style.
+	 * @throws {SetupError} for invalid styles.
+	 * @return {CommandRegistry} instance so we can chain calls.
+	 * @example
+	 * // Help shows "get {key} default?"
+	 * registry.usageStyle({ required: ['{', '}'], optional: ['', '?'] });
+	 */
+	usageStyle(style) {
+		this.usage_style = style || {};
+		return this;
+	}
+
+	// Recursively apply this CommandRegistry's usage style to all commands.
+	#applyUsageStyleToCommands() {
+		if (this.#usage_style) {
+			this.commands.forEach(cmd => {
+				cmd.usageStyle(this.#usage_style);
+				if (cmd.subcommands) {
+					cmd.subcommands.usageStyle(this.#usage_style);
+				}
+			});
+		}
+	}
+}
+
+// Gets the smallest and largest number of tokens an Argument (or a set of
+// Arguments) can take.
+function tokenRange(arg) {
+	if (Array.isArray(arg)) {
+		return arg.map(tokenRange).reduce((sum, range) => ({
+			min: sum.min + range.min,
+			max: sum.max + range.max,
+		}), { min: 0, max: 0 });
+	}
+
+	const size = tokenSize(arg);
+	if (arg.is_varargs && !arg.is_literal) {
+		// Varargs take as many values as their counts allow (see minCount)
+		return {
+			min: arg.is_optional ? 0 : Math.max(arg.min_count || 1, 1),
+			max: arg.max_count != null ? arg.max_count : Infinity,
+		};
+	}
+	return {
+		min: arg.is_optional ? 0 : size,
+		max: (!arg.is_literal && arg.is_rest) ? Infinity : size,
+	};
+}
+
+// Checks whether two argument sets have different required literals at the same
+// position, so no input can match both. Only positions before the first
+// Argument that can change size are known.
+function literalsDiffer(a, b) {
+	const fixedLiterals = set => {
+		const literals = new Map();
+		let pos = 0;
+		for (const arg of set) {
+			const range = tokenRange(arg);
+			if (range.min !== range.max) break;
+			if (arg.is_literal) literals.set(pos, arg);
+			pos += range.min;
+		}
+		return literals;
+	};
+
+	const others = fixedLiterals(b);
+	return Array.from(fixedLiterals(a)).some(([pos, arg]) => {
+		const other = others.get(pos);
+		if (!other) return false;
+		return (arg.is_ignore_case || other.is_ignore_case) ?
+			arg.name.toLowerCase() !== other.name.toLowerCase() :
+			arg.name !== other.name;
+	});
+}
+
+// Gets the number of tokens an argument set takes with one value for each
+// Argument (or each value of a tuple Argument).
+function setLength(argset) {
+	return argset.reduce((sum, arg) => sum + tokenSize(arg), 0);
+}
+
+// Gets the number of tokens a single value of an Argument takes.
+function tokenSize(arg) {
+	return (arg.tuple_names && !arg.is_literal) ? arg.tuple_names.length : 1;
+}
+
+// Checks parts against an argument set without running any preprocessors.
+// Literals must match, and only a rest Argument can take a raw tail Token (see
+// tokenize). Returns the error and how many Arguments matched before it, or
+// null if the set matches.
+function checkShape(argset, parts) {
+	const slices = sliceTokens(argset, parts);
+	const extras = parts.slice(slices.reduce((sum, s) => sum + s.length, 0));
+	const checks = [...argset.map((arg, i) => () => {
+		if (!arg.is_rest) {
+			checkRawTail(slices[i]);
+		}
+		if (arg.is_literal) {
+			matchLiteral(arg, slices[i][0]);
+		}
+	}), () => checkRawTail(extras)];
+
+	for (const [index, check] of checks.entries()) {
+		try {
+			check();
+		} catch (err) {
+			return { err, index };
+		}
+	}
+	return null;
+}
+
+// Checks a part against a literal Argument, returning the word it matched.
+function matchLiteral(arg, part) {
+	const value = tokenValue(part);
+	if (value == null || value === '') {
+		if (arg.is_optional) {
+			return null;
+		}
+		throw new CommandError(
+			`Too few arguments! Missing keyword '${arg.name}'`
+		);
+	}
+
+	const matches = arg.is_ignore_case
+		? value.toLowerCase() === arg.name.toLowerCase()
+		: value === arg.name;
+	if (!matches) {
+		throw setErrorSpan(
+			new CommandError(`Expected keyword '${arg.name}', got '${value}'`),
+			part
+		);
+	}
+	return arg.name;
+}
+
+// Splits parts between the Arguments in a set. Each Argument gets its minimum
+// first, then any extra parts go to optional Arguments from left to right, and
+// varargs Arguments take whatever is left. Optional tuple Arguments take all of
+// their parts or none. If there are too few parts, the last Arguments get less
+// than their minimum (possibly nothing).
+function sliceTokens(argset, parts) {
+	const ranges = argset.map(tokenRange);
+	let extra = parts.length - tokenRange(argset).min;
+	let index = 0;
+
+	return ranges.map((range, i) => {
+		let take = Math.max(0, Math.min(extra, range.max - range.min));
+		if (argset[i].tuple_names && take < range.max - range.min) {
+			take = 0;
+		}
+		extra -= take;
+
+		const slice = parts.slice(index, index + range.min + take);
+		index += slice.length;
+		return slice;
+	});
+}
+
+// Shared logic for splitting a command string with a Tokenizer. Anything thrown
+// is wrapped in a CommandError. Always returns a Promise in async mode.
+function tokenize(func, string, is_async) {
+	const checkParts = parts => {
+		if (!Array.isArray(parts)) {
+			throw new CommandError(
+				`tokenizer returned ${type(parts)}, expected 'Array<string>'`
+			);
+		}
+		return parts;
+	};
+
+	const throwWrapped = err => {
+		if (err instanceof CommandError) {
+			throw err;
+		}
+		throw new CommandError('Failed to split command', err);
+	};
+
+	// A rest Argument takes the end of the input as-is, so an error there
+	// (like an unterminated quote) doesn't have to be fatal. If the error says
+	// where it happened, split the input up to that point, and keep the rest
+	// as a single raw Token. Parsing throws the error if nothing takes it.
+	const start = err => (err instanceof CommandError &&
+		err.input === string && err.span && Number.isInteger(err.span.start)
+	) ? err.span.start : null;
+	const withTail = (err, parts) => {
+		const hasPosition = part => isToken(part) &&
+			Number.isInteger(part.start) && Number.isInteger(part.end);
+		if (!Array.isArray(parts) || !parts.every(hasPosition)) {
+			throw err;
+		}
+
+		// The error may be partway through a token, like the quote in "it's"
+		let tail_start = start(err);
+		const last = parts[parts.length - 1];
+		if (last && last.end === tail_start) {
+			tail_start = last.start;
+			parts = parts.slice(0, -1);
+		}
+		return [...parts.map(part => ({ ...part, input: string })), {
+			value: string.slice(tail_start),
+			start: tail_start,
+			end: string.length,
+			input: string,
+			[rawTail]: err,
+		}];
+	};
+
+	if (is_async) {
+		return new Promise(resolve => resolve(func(string)))
+			.catch(err => {
+				if (start(err) === null) throw err;
+				return Promise.resolve(func(string.slice(0, start(err))))
+					.then(parts => withTail(err, parts), () => { throw err });
+			})
+			.catch(throwWrapped)
+			.then(checkParts);
+	}
+
+	let parts;
+	try {
+		parts = func(string);
+	} catch (err) {
+		if (start(err) === null) throwWrapped(err);
+		try {
+			parts = func(string.slice(0, start(err)));
+		} catch (ignored) {
+			throw err;
+		}
+		parts = withTail(err, parts);
+	}
+	return checkParts(parts);
+}
+
+// Throws the Tokenizer error saved in a raw tail Token (see tokenize), if any
+// of the given parts is one.
+function checkRawTail(parts) {
+	const tail = parts.find(part => isToken(part) && part[rawTail]);
+	if (tail) {
+		throw tail[rawTail];
+	}
+}
+
+// Points a CommandError at the part of the input the given Token(s) came from.
+// Does nothing for plain strings or Tokens without position info.
+function setErrorSpan(err, first, last = first) {
+	if (isToken(first) && isToken(last) &&
+		isString(first.input) &&
+		Number.isInteger(first.start) &&
+		Number.isInteger(last.end)
+	) {
+		err.input = first.input;
+		err.span = { start: first.start, end: last.end };
+	}
+	return err;
+}
+
+// Combines command parts back into a single part. Tokens from the same input
+// are combined into a Token covering the original text between them, so
+// whitespace and quotes are kept exactly as the user typed them.
+function joinTokens(parts) {
+	if (!Array.isArray(parts)) {
+		return parts;
+	}
+	if (parts.length === 0) {
+		return undefined;
+	}
+
+	const first = parts[0];
+	const last = parts[parts.length - 1];
+	const hasPosition = part => isToken(part) &&
+		part.input === first.input &&
+		Number.isInteger(part.start) &&
+		Number.isInteger(part.end);
+
+	if (isString(first.input) && parts.every(hasPosition)) {
+		// Parts that run to the end of the input take all of it, trailing
+		// whitespace included.
+		const end = first.input.slice(last.end).trim() === '' ?
+			first.input.length : last.end;
+		return {
+			value: first.input.slice(first.start, end),
+			start: first.start,
+			end: end,
+			input: first.input,
+		};
+	}
+
+	return parts.map(tokenValue).join(' ');
+}
+
+// Reads a Markdown-style inline code span or fenced code block starting at the
+// given index into a Token. Fenced blocks may give a language on the first line.
+// Only a backtick run of the same length closes the code, so longer or shorter
+// runs can be used inside it.
+function readCode(string, start) {
+	const fence = string.slice(start).match(/^`+/)[0];
+	const closing = new RegExp(`(?<!\`)${fence}(?!\`)`, 'g');
+	closing.lastIndex = start + fence.length;
+	const match = closing.exec(string);
+	const close = match ? match.index : -1;
+
+	if (close === -1) {
+		const err = new CommandError(
+			`Unterminated code! Missing closing ${fence}`
+		);
+		err.input = string;
+		err.span = { start: start, end: string.length };
+		throw err;
+	}
+
+	const token = {
+		value: string.slice(start + fence.length, close),
+		start: start,
+		end: close + fence.length,
+		input: string,
+	};
+
+	if (fence.length >= 3) {
+		const lang_line = token.value.match(/^([\w#+.-]*)\n/);
+		token.lang = null;
+		if (lang_line) {
+			token.lang = lang_line[1] || null;
+			token.value = token.value.slice(lang_line[0].length);
+		}
+		token.value = token.value.replace(/\n$/, '');
+	}
+
+	return token;
+}
+
+// Shared logic for the default help handlers. Gets detailed help for a single
+// Command, or one page of the summary listing (optionally for one category).
+// Summaries are "name - desc", or lined up in columns for terminals.
+function generateHelp(args, commands, options) {
+	const { page_size, columns } = options;
+	const { width, color } = checkFormat(options);
+	const query = args.command || '';
+	const words = query.split(/\s+/).filter(Boolean);
+
+	if (findCommand(commands, words[0])) {
+		let cmd = findCommand(commands, words[0]);
+		let i = 1;
+		while (i < words.length &&
+			cmd.subcommands && findCommand(cmd.subcommands.commands, words[i])
+		) {
+			cmd = findCommand(cmd.subcommands.commands, words[i++]);
+		}
+		if (i < words.length) {
+			return `Unknown command '${words.slice(0, i + 1).join(' ')}'`;
+		}
+		return cmd.help({ width, color });
+	}
+
+	const groups = groupCommands(commands);
+	const use_headers = groups.some(group => group.name);
+
+	const group = words.length > 0 ? groups.find(other =>
+		other.name && other.name.toLowerCase() === words[0].toLowerCase()
+	) : null;
+	const numbers = group ? words.slice(1) : words;
+	if (numbers.length > 1 || (numbers.length > 0 && !/^\d+$/.test(numbers[0]))) {
+		return `Unknown command '${query}'`;
+	}
+	const page = numbers.length > 0 ? Number.parseInt(numbers[0]) : 1;
+
+	const categoryOf = new Map();
+	groups.forEach(other => other.commands.forEach(
+		cmd => categoryOf.set(cmd, other.name)
+	));
+	const cmds = (group ? [group] : groups).flatMap(other => other.commands);
+	const num_pages = Math.max(1, Math.ceil(cmds.length / page_size));
+	if (page < 1 || page > num_pages) {
+		return `Page ${page} does not exist! ` +
+			`There ${num_pages === 1 ? 'is 1 page' : `are ${num_pages} pages`}`;
+	}
+
+	// Columns line up across categories, so all rows are made at once
+	const shown = cmds.slice((page - 1) * page_size, page * page_size);
+	const trees = shown.map(cmd => commandTree(cmd));
+	const indent = use_headers ? 2 : 0;
+	const rows = summaryLines(trees.flat(), columns, width - indent, color);
+	const lines = [];
+	let row = 0;
+	shown.forEach((cmd, i) => {
+		if (use_headers &&
+			(i === 0 || categoryOf.get(shown[i - 1]) !== categoryOf.get(cmd))
+		) {
+			if (i > 0) {
+				lines.push('');
+			}
+			lines.push(`${categoryOf.get(cmd)}:`);
+		}
+		trees[i].forEach(() => lines.push(
+			...rows[row++].map(line => ' '.repeat(indent) + line)
+		));
+	});
+
+	if (num_pages > 1) {
+		const prefix = group ? `help ${group.name} ` : 'help ';
+		lines.push('', page < num_pages ?
+			`Page ${page} of ${num_pages}. Next page: ${prefix}${page + 1}` :
+			`Page ${page} of ${num_pages}`
+		);
+	}
+
+	return lines.join('\n');
+}
+
+// Finds a Command in a Map of Commands by its name or one of its aliases.
+function findCommand(commands, name) {
+	return commands.get(name) ||
+		Array.from(commands.values()).find(cmd => cmd.aliases.includes(name));
+}
+
+// Checks that none of the given names are already used by a Command in the Map
+// (other than the given one), as either its name or one of its aliases.
+function checkNamesFree(commands, names, command) {
+	names.forEach(name => {
+		const other = findCommand(commands, name);
+		if (!other || other === command) {
+			return;
+		}
+		if (other.name === name && command.name === name) {
+			throw new SetupError(`Defined duplicate command '${name}'`);
+		}
+		if (command.name === name) {
+			throw new SetupError(`Command name '${name}' already used as an ` +
+				`alias of command '${other.name}'`
+			);
+		}
+		throw new SetupError(
+			`Alias '${name}' already used by command '${other.name}'`
+		);
+	});
+}
+
+// Gets a Command and its visible subcommands (recursively) as a flat list of
+// { cmd, depth } entries, in the order they appear in help.
+function commandTree(cmd, depth = 0) {
+	const children = cmd.subcommands ?
+		Array.from(cmd.subcommands.commands.values()).filter(sub => !sub.is_hidden) :
+		[];
+	return [
+		{ cmd, depth },
+		...children.flatMap(sub => commandTree(sub, depth + 1)),
+	];
+}
+
+// Makes the summary lines for each entry from commandTree, indented by depth,
+// with any aliases after the name. Each entry gets an Array of lines. In
+// columns mode, descriptions are lined up and wrapped to the width. Otherwise
+// each entry is "name - desc".
+function summaryLines(entries, columns, width, color) {
+	const aliasesOf = cmd => cmd.aliases.length > 0 ?
+		` (${cmd.aliases.join(', ')})` : '';
+	const labelOf = entry => ' '.repeat(entry.depth * 2) + entry.cmd.name +
+		aliasesOf(entry.cmd);
+	const column = Math.max(...entries.map(entry => labelOf(entry).length));
+
+	return entries.map(entry => {
+		const cmd = entry.cmd;
+		const label = ' '.repeat(entry.depth * 2) +
+			paint(cmd.name, 'name', color) + aliasesOf(cmd);
+		const desc = cmd.desc ? cmd.desc.split('\n')[0] : '';
+		if (!desc) {
+			return [label];
+		} else if (!columns) {
+			return [`${label} - ${desc}`];
+		}
+
+		const pad = ' '.repeat(column - labelOf(entry).length + 2);
+		return wrapWords(textWords(desc), width - column - 2, 0, color)
+			.map((line, i) => (i > 0 ? ' '.repeat(column + 2) : label + pad) + line);
+	});
+}
+
+// Validates the page size option for the help handler factories.
+function checkPageSize(options) {
+	const page_size = options.page_size == null ? 10 : options.page_size;
+	if (!Number.isInteger(page_size) || page_size < 1) {
+		throw new SetupError('page_size must be a positive integer');
+	}
+	return page_size;
+}
+
+// Validates a UsageStyle, returning a complete copy with defaults filled in.
+function checkUsageStyle(style) {
+	style = style == null ? {} : style;
+	if (type(style) !== '[object Object]') {
+		throw new SetupError(
+			`usage style was ${type(style)}, expected [object Object]`
+		);
+	}
+
+	const full = {
+		required: ['<', '>'],
+		optional: ['[', ']'],
+		varargs: 'numbered',
+		separator: ' ',
+		uppercase: false,
+	};
+	['required', 'optional'].forEach(key => {
+		if (style[key] == null) {
+			return;
+		}
+		if (!Array.isArray(style[key]) || style[key].length !== 2 ||
+			!style[key].every(isString)
+		) {
+			throw new SetupError(
+				`${key} brackets must be an 'Array<string>' with 2 strings`
+			);
+		}
+		full[key] = style[key].slice();
+	});
+	if (style.varargs != null) {
+		if (!['numbered', 'ellipsis'].includes(style.varargs)) {
+			throw new SetupError("varargs style must be 'numbered' or 'ellipsis'");
+		}
+		full.varargs = style.varargs;
+	}
+	if (style.separator != null) {
+		if (!isString(style.separator) || !style.separator) {
+			throw new SetupError('separator must be a non-empty string');
+		}
+		full.separator = style.separator;
+	}
+	if (style.uppercase != null) {
+		if (!isBoolean(style.uppercase)) {
+			throw new SetupError(
+				`uppercase was ${type(style.uppercase)}, expected [object Boolean]`
+			);
+		}
+		full.uppercase = style.uppercase;
+	}
+
+	return full;
+}
+
+// Validates the terminal formatting options for help text. Without a width,
+// text is never wrapped.
+function checkFormat(options) {
+	const width = options.width == null ? Infinity : options.width;
+	const color = options.color == null ? false : options.color;
+	if (width !== Infinity && (!Number.isInteger(width) || width < 1)) {
+		throw new SetupError('width must be a positive integer');
+	}
+	if (!isBoolean(color)) {
+		throw new SetupError(`color was ${type(color)}, expected [object Boolean]`);
+	}
+	return { width, color };
+}
+
+// Wraps words into lines no longer than the given width (unless a single word
+// is too long), indenting every line after the first by `hang` spaces. Words
+// are { text, style } Objects, so colors don't count towards line length.
+// Words on the same line are joined with `sep`, which is trimmed at line ends.
+// A word can give its own `sep` to use before it instead.
+function wrapWords(words, width, hang, color, sep = ' ') {
+	const lines = [{ text: '', ends: '' }];
+	let length = 0;
+	words.forEach((word, i) => {
+		const gap = word.sep != null ? word.sep : sep;
+		let line = lines[lines.length - 1];
+		if (i > 0 && length + gap.length + word.text.length > width) {
+			if (!word.text) {
+				return; // Don't start a line with extra spaces
+			}
+			line.ends = gap.trimEnd();
+			line = { text: ' '.repeat(hang), ends: '' };
+			lines.push(line);
+			length = hang;
+		} else if (i > 0) {
+			line.text += gap;
+			length += gap.length;
+		}
+		line.text += paint(word.text, word.style, color);
+		length += word.text.length;
+	});
+	return lines.map(line => line.text + line.ends);
+}
+
+// Splits plain text into words for wrapWords. Splitting on single spaces keeps
+// the text exactly as it was when it isn't wrapped.
+function textWords(text) {
+	return text.split(' ').map(word => ({ text: word }));
+}
+
+// Gets the label for an Argument's name in help text and errors, e.g. "<name>".
+function argumentLabel(name, style) {
+	const [lb, rb] = style.required;
+	return `${lb}${style.uppercase ? name.toUpperCase() : name}${rb}`;
+}
+
+// Gets the color style for an Argument's usage in help text.
+function colorStyle(arg) {
+	if (arg.is_literal) {
+		return 'name';
+	}
+	return arg.is_optional ? 'optional' : 'required';
+}
+
+// Wraps text in the ANSI escape codes for the given style, if color is enabled.
+function paint(text, style, color) {
+	if (!color || !style) {
+		return text;
+	}
+	const codes = { name: '1', required: '36', optional: '33' };
+	return `\x1b[${codes[style]}m${text}\x1b[0m`;
+}
+
+// Groups the Commands shown in help listings by category, in the order each
+// category first appears. Hidden Commands are left out. Uncategorized Commands
+// come last, under 'Other', or in a single group with a null name if no
+// Command has a category.
+function groupCommands(commands) {
+	const listed = Array.from(commands.values()).filter(cmd => !cmd.is_hidden);
+	const names = [];
+	listed.forEach(cmd => {
+		if (cmd.category_name && !names.includes(cmd.category_name)) {
+			names.push(cmd.category_name);
+		}
+	});
+
+	const groups = names.map(name => ({
+		name: name,
+		commands: listed.filter(cmd => cmd.category_name === name),
+	}));
+	const others = listed.filter(cmd => !cmd.category_name);
+	if (others.length > 0) {
+		groups.push({ name: names.length > 0 ? 'Other' : null, commands: others });
+	}
+	return groups;
+}
+
+// Gets the Arguments to describe in help for a set of argument sets. Literals
+// are left out, and Arguments with the same name in different sets are listed
+// once.
+function uniqueArguments(argsets) {
+	const args = [];
+	argsets.forEach(argset => argset.forEach(arg => {
+		if (!arg.is_literal && !args.find(other => other.name === arg.name)) {
+			args.push(arg);
+		}
+	}));
+	return args;
+}
+
+// Describes an Argument as a plain Object for Command#toJSON.
+function argumentData(arg) {
+	const def = arg.default_value;
+	return {
+		name: arg.name,
+		type: arg.type_name,
+		description: arg.desc,
+		optional: arg.is_optional,
+		literal: arg.is_literal,
+		varargs: arg.is_varargs,
+		rest: arg.is_rest,
+		tuple: arg.tuple_names,
+		min_count: arg.min_count,
+		max_count: arg.max_count,
+		min: arg.min_value,
+		max: arg.max_value,
+		default: (isFunction(def) || isAsyncFunction(def)) ? null : def,
+	};
+}
+
+// Escapes text for troff, so it can't be mistaken for a request or escape.
+// Double quotes are escaped too, so text can be used in quoted arguments.
+function manEscape(text) {
+	return text
+		.replace(/\\/g, '\\e')
+		.replace(/-/g, '\\-')
+		.replace(/"/g, '\\(dq')
+		.split('\n')
+		.map(line => /^[.']/.test(line) ? `\\&${line}` : line)
+		.join('\n');
+}
+
+// Describes an Argument's settings for detailed help, e.g. "int, optional".
+// Varargs and rest Arguments that aren't last in their set also say which
+// Arguments get the values at the end.
+function argumentDetails(arg, argsets, style) {
+	const details = [];
+	const def = arg.default_value;
+
+	if (arg.type_name) {
+		details.push(arg.type_name);
+	}
+	details.push(arg.is_optional ? 'optional' : 'required');
+	if (arg.is_varargs) {
+		details.push('varargs');
+		if (arg.min_count != null || arg.max_count != null) {
+			details.push(`${showCount({
+				min: arg.min_count || (arg.is_optional ? 0 : 1),
+				max: arg.max_count == null ? Infinity : arg.max_count,
+			})} values`);
+		}
+	}
+	if (arg.is_rest) {
+		details.push('rest of input');
+	}
+	if (arg.is_varargs || arg.is_rest) {
+		const argset = argsets.find(set => set.includes(arg));
+		const after = argset.slice(argset.indexOf(arg) + 1);
+		if (after.length > 0) {
+			details.push('followed by ' +
+				after.map(other => other.usage(style)).join(style.separator)
+			);
+		}
+	}
+	if (arg.tuple_names) {
+		details.push(`values ${arg.tuple_names.join(' ')}`);
+	}
+	if (arg.min_value != null) {
+		details.push(`at least ${showValue(arg.min_value)}`);
+	}
+	if (arg.max_value != null) {
+		details.push(`at most ${showValue(arg.max_value)}`);
+	}
+	if (arg.is_optional && def != null && !isFunction(def) && !isAsyncFunction(def)) {
+		details.push(`default ${showValue(def)}`);
+	}
+
+	return details;
+}
+
+// Formats a range from tokenRange for showing to users, e.g. "2 to 3".
+function showCount(range) {
+	if (range.min === range.max) {
+		return `${range.min}`;
+	} else if (range.max === Infinity) {
+		return `at least ${range.min}`;
+	} else {
+		return `${range.min} to ${range.max}`;
+	}
+}
+
+// Formats a value for showing to users, e.g. in usage and error messages.
+function showValue(value) {
+	if (isDate(value)) {
+		return value.toISOString();
+	}
+	if (Array.isArray(value)) {
+		return value.map(showValue).join(',');
+	}
+	return String(value);
+}
+
+// Gets the string value of a command part, which may or may not be a Token.
+function tokenValue(part) {
+	return isToken(part) ? part.value : part;
+}
+
+async function executeSequentially(values, func) {
+	for (const val of values) {
+		await func(val);
+	}
 }
 
 // This is probably why TypeScript was created.
@@ -1406,10 +4837,22 @@ function isAsyncFunction(value) {
 	return type(value) === '[object AsyncFunction]';
 }
 
+function isDate(value) {
+	return type(value) === '[object Date]';
+}
+
+function isNumber(value) {
+	return type(value) === '[object Number]';
+}
+
 function isString(value) {
 	return type(value) === '[object String]';
 }
 
+function isToken(value) {
+	return type(value) === '[object Object]' && isString(value.value);
+}
+
 function type(value) {
 	return Object.prototype.toString.call(value);
 }
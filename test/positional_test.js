@@ -44,6 +44,15 @@ describe('Positional command parser', function() {
 				);
 			});
 
+			it('Non-string description', function() {
+				expect(() => new Argument('test').description({})).to.throw(
+					SetupError,
+					'desc was [object Object], expected [object String]'
+				);
+				expect(new Argument('test').description('hello').desc)
+					.to.equal('hello');
+			});
+
 			it('Non-function preprocessor', function () {
 				expect(() => new Argument('test').preprocess({})).to.throw(
 					SetupError,
@@ -88,6 +97,75 @@ describe('Positional command parser', function() {
 					'is_varargs was [object Object], expected [object Boolean]'
 				);
 			});
+
+			it('Non-boolean rest flag', function() {
+				expect(() => new Argument('test').rest({})).to.throw(
+					SetupError,
+					'is_rest was [object Object], expected [object Boolean]'
+				);
+			});
+
+			it('Both rest and varargs', function() {
+				const err = 'Argument cannot be both rest and varargs';
+				expect(() => new Argument('test').rest(true).varargs(true))
+					.to.throw(SetupError, err);
+				expect(() => new Argument('test').varargs(true).rest(true))
+					.to.throw(SetupError, err);
+			});
+
+			it('Non-boolean literal flags', function() {
+				expect(() => new Argument('test').literal({})).to.throw(
+					SetupError,
+					'is_literal was [object Object], expected [object Boolean]'
+				);
+				expect(() => new Argument('test').ignoreCase('yes')).to.throw(
+					SetupError,
+					'is_ignore_case was [object String], expected [object Boolean]'
+				);
+			});
+
+			it('Bad tuple names', function() {
+				const err = "tuple names must be an 'Array<string>' with at least 2 names";
+				expect(() => new Argument('test').tuple('x y')).to.throw(SetupError, err);
+				expect(() => new Argument('test').tuple(['x'])).to.throw(SetupError, err);
+				expect(() => new Argument('test').tuple(['x', ''])).to.throw(SetupError, err);
+			});
+
+			it('Tuple with varargs or rest', function() {
+				expect(() => new Argument('test').tuple(['x', 'y']).varargs(true))
+					.to.throw(SetupError, 'Argument cannot be both tuple and varargs');
+				expect(() => new Argument('test').varargs(true).tuple(['x', 'y']))
+					.to.throw(SetupError, 'Argument cannot be both tuple and varargs');
+				expect(() => new Argument('test').tuple(['x', 'y']).rest(true))
+					.to.throw(SetupError, 'Argument cannot be both rest and tuple');
+			});
+
+			it('Bad varargs counts', function() {
+				expect(() => new Argument('test').minCount('1')).to.throw(
+					SetupError,
+					'min_count was [object String], expected [object Number]'
+				);
+				expect(() => new Argument('test').minCount(-1)).to.throw(
+					SetupError,
+					'min_count must be a non-negative integer'
+				);
+				expect(() => new Argument('test').maxCount(0)).to.throw(
+					SetupError,
+					'max_count must be a positive integer'
+				);
+				expect(() => new Argument('test').maxCount(1.5)).to.throw(
+					SetupError,
+					'max_count must be a positive integer'
+				);
+				expect(() => new Argument('test').minCount(3).maxCount(2)).to.throw(
+					SetupError,
+					'max_count cannot be less than min_count'
+				);
+				expect(() => new Argument('test').maxCount(2).minCount(3)).to.throw(
+					SetupError,
+					'min_count cannot be greater than max_count'
+				);
+			});
 		});
 
 		describe('Parsing and preprocessing', function() {
@@ -204,6 +282,240 @@ describe('Positional command parser', function() {
 					.to.eventually.be.instanceof(Array).that.is.empty;
 			});
 
+			it('Literal matches its own word', function() {
+				const arg = Argument.literal('set');
+				expect(arg.is_literal).to.be.true;
+				expect(arg.parse('set')).to.equal('set');
+				expect(() => arg.parse('SET')).to.throw(
+					CommandError,
+					"Expected keyword 'set', got 'SET'"
+				);
+				expect(() => arg.parse()).to.throw(
+					CommandError,
+					"Too few arguments! Missing keyword 'set'"
+				);
+			});
+
+			it('Literal can ignore case (async)', function() {
+				const arg = Argument.literal('set')
+					.asynchronous(true)
+					.ignoreCase(true);
+				return expect(arg.parse('SeT')).to.eventually.equal('set');
+			});
+
+			it('Tuple values preprocessed together', function() {
+				const arg = new Argument('range')
+					.tuple(['from', 'to'])
+					.preprocess(([from, to]) => ({ from: +from, to: +to }));
+				expect(arg.parse(['1', '5'])).to.deep.equal({ from: 1, to: 5 });
+				expect(new Argument('range').tuple(['from', 'to']).parse(['1', '5']))
+					.to.deep.equal(['1', '5']);
+			});
+
+			it('Tuple values preprocessed together (async)', function() {
+				const arg = new Argument('range')
+					.asynchronous(true)
+					.tuple(['from', 'to'])
+					.preprocess(async ([from, to]) => +to - +from);
+				return expect(arg.parse(['1', '5'])).to.eventually.equal(4);
+			});
+
+			it('Error thrown for wrong number of tuple values', function() {
+				const arg = new Argument('pos').tuple(['x', 'y', 'z']);
+				expect(() => arg.parse(['1', '2'])).to.throw(
+					CommandError,
+					'Too few arguments! Missing <z> for argument <pos>'
+				);
+				expect(() => arg.parse(['1', '2', '3', '4'])).to.throw(
+					CommandError,
+					'Too many values for <pos>! Expected 3'
+				);
+			});
+
+			it('Tuple preprocessor error shows all values', function() {
+				const cmd = new Command('tp')
+					.addArgSet([
+						new Argument('pos')
+							.tuple(['x', 'y'])
+							.preprocess(() => { throw new Error('not a number'); }),
+					]);
+				try {
+					cmd.execute('1  x');
+					expect.fail('Execute should have thrown');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.full_message).to.equal(
+						"Bad <pos> value '1 x': not a number"
+					);
+					expect(err.span).to.deep.equal({ start: 0, end: 4 });
+				}
+			});
+
+			it('Varargs count limits', function() {
+				const arg = new Argument('files')
+					.varargs(true)
+					.minCount(2)
+					.maxCount(3);
+				expect(arg.parse(['a', 'b'])).to.deep.equal(['a', 'b']);
+				expect(arg.parse(['a', 'b', 'c'])).to.deep.equal(['a', 'b', 'c']);
+				expect(() => arg.parse(['a'])).to.throw(
+					CommandError,
+					'Too few values for <files>! Expected at least 2'
+				);
+				expect(() => arg.parse(['a', 'b', 'c', 'd'])).to.throw(
+					CommandError,
+					'Too many values for <files>! Expected at most 3'
+				);
+			});
+
+			it('Varargs count limits (async)', function() {
+				const arg = new Argument('files')
+					.asynchronous(true)
+					.varargs(true)
+					.maxCount(1);
+				return expect(arg.parse(['a', 'b'])).to.be.rejectedWith(
+					CommandError,
+					'Too many values for <files>! Expected at most 1'
+				);
+			});
+
+			it('Optional varargs with minimum count can be omitted', function() {
+				const arg = new Argument('files')
+					.optional(true)
+					.varargs(true)
+					.minCount(2);
+				expect(arg.parse([])).to.be.instanceof(Array).that.is.empty;
+				expect(() => arg.parse(['a'])).to.throw(
+					CommandError,
+					'Too few values for <files>! Expected at least 2'
+				);
+			});
+
+			it('Varargs count error highlights extra values', function() {
+				const cmd = new Command('rm')
+					.addArgSet([ new Argument('files').varargs(true).maxCount(2) ]);
+				try {
+					cmd.execute('a b c d');
+					expect.fail('Execute should have thrown');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.span).to.deep.equal({ start: 4, end: 7 });
+				}
+			});
+
+			it('Standalone preprocessor context', function() {
+				let context;
+				const arg = new Argument('test')
+					.preprocess((val, token, ctx) => { context = ctx; });
+				arg.parse('hello', 'fwd');
+				expect(context).to.deep.equal({
+					args: {},
+					index: 0,
+					forward: ['fwd'],
+				});
+			});
+
+			it('Default value used for omitted optional argument', function() {
+				const arg = new Argument('test')
+					.optional(true)
+					.default(5)
+					.preprocess(val => { throw new Error('not called'); });
+				expect(arg.parse()).to.equal(5);
+				expect(arg.parse('')).to.equal(5);
+			});
+
+			it('Default value not used for required argument', function() {
+				const arg = new Argument('test').default(5);
+				expect(() => arg.parse()).to.throw(
+					CommandError,
+					'Too few arguments! Missing argument <test>'
+				);
+			});
+
+			it('Default function gets forwarded values', function() {
+				const arg = new Argument('test')
+					.optional(true)
+					.default((a, b) => a + b);
+				expect(arg.parse(undefined, 'x', 'y')).to.equal('xy');
+			});
+
+			it('Default function can be async (async)', function() {
+				const arg = new Argument('test')
+					.asynchronous(true)
+					.optional(true)
+					.default(async val => val + 1);
+				return expect(arg.parse(null, 1)).to.eventually.equal(2);
+			});
+
+			it('Error thrown in default function bubbles up', function() {
+				const arg = new Argument('test')
+					.optional(true)
+					.default(() => { throw new Error('no default'); });
+				try {
+					arg.parse();
+					expect.fail('Parse should have thrown');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.full_message).to.equal(
+						'Failed to get default value for <test>: no default'
+					);
+				}
+			});
+
+			it('Error thrown in default function bubbles up (async)', function() {
+				const arg = new Argument('test')
+					.asynchronous(true)
+					.optional(true)
+					.default(async () => { throw new Error('no default'); });
+				return expect(arg.parse()).to.be.rejectedWith(
+					CommandError,
+					'Failed to get default value for <test>'
+				);
+			});
+
+			it('Async default function rejected in sync mode', function() {
+				const arg = new Argument('test')
+					.optional(true)
+					.default(async () => 'a');
+				expect(() => arg.parse()).to.throw(CommandError,
+					'Default value for <test> returned a Promise, but Argument is not async'
+				);
+
+				const cmd = new Command('test')
+					.addArgSet([arg])
+					.handler(args => args.test);
+				expect(() => cmd.execute('')).to.throw(CommandError,
+					'Default value for <test> returned a Promise, but Argument is not async'
+				);
+			});
+
+			it('Default value not checked against min and max', function() {
+				const arg = Argument.int('test')
+					.optional(true)
+					.min(1)
+					.default(0);
+				expect(arg.parse()).to.equal(0);
+			});
+
+			it('Default value wrapped in Array (varargs)', function() {
+				const arg = new Argument('test')
+					.optional(true)
+					.varargs(true)
+					.default('a');
+				expect(arg.parse()).to.deep.equal(['a']);
+				expect(arg.parse([])).to.deep.equal(['a']);
+				expect(arg.parse(['b'])).to.deep.equal(['b']);
+			});
+
+			it('Default value wrapped in Array (varargs) (async)', function() {
+				const arg = new Argument('test')
+					.asynchronous(true)
+					.optional(true)
+					.varargs(true)
+					.default(async () => 'a');
+				return expect(arg.parse()).to.eventually.deep.equal(['a']);
+			});
+
 			it('Varargs can take single arguments', function() {
 				const arg = new Argument('test')
 					.varargs(true)
@@ -284,6 +596,78 @@ describe('Positional command parser', function() {
 					});
 			});
 
+			it('Preprocessor gets token', function() {
+				const arg = new Argument('test')
+					.preprocess((val, token) => [val, token && token.lang]);
+				const tokens = Command.tokenize('```py\nx```', { code: true });
+				expect(arg.parse(tokens[0])).to.deep.equal(['x', 'py']);
+				expect(arg.parse('x')).to.deep.equal(['x', null]);
+			});
+
+			it('Tokens parsed as their values', function() {
+				const arg = new Argument('test')
+					.preprocess(val => val + 'x')
+					.varargs(true);
+				expect(arg.parse(Command.tokenize('aaa "b b"')))
+					.to.deep.equal(['aaax', 'b bx']);
+			});
+
+			it('Error thrown in preprocessor has token span', function() {
+				const arg = new Argument('test').preprocess(validator);
+				try {
+					arg.parse(Command.tokenize('abc xyz')[1]);
+					expect.fail('Parse should have thrown');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.input).to.equal('abc xyz');
+					expect(err.span).to.deep.equal({ start: 4, end: 7 });
+				}
+			});
+
+			it('Error thrown in preprocessor has token span (varargs) (async)',
+			function() {
+				const arg = new Argument('test')
+					.asynchronous(true)
+					.preprocess(validator)
+					.varargs(true);
+				return arg.parse(Command.tokenize('aaa bxb xcc'))
+					.then(() => expect.fail('Parse should have thrown'))
+					.catch(err => {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.input).to.equal('aaa bxb xcc');
+						expect(err.span).to.deep.equal({ start: 8, end: 11 });
+					});
+			});
+
+			it('Rest keeps original text between tokens', function() {
+				const arg = new Argument('test').rest(true);
+				const tokens = Command.tokenize('note   "a  b"\n\tc');
+				expect(arg.parse(tokens.slice(1))).to.equal('"a  b"\n\tc');
+			});
+
+			it('Rest joins plain strings with spaces', function() {
+				const arg = new Argument('test')
+					.rest(true)
+					.preprocess(val => val + '!');
+				expect(arg.parse(['aaa', 'b b'])).to.equal('aaa b b!');
+			});
+
+			it('Optional rest argument can be omitted (async)', function() {
+				const arg = new Argument('test')
+					.asynchronous(true)
+					.optional(true)
+					.rest(true);
+				return expect(arg.parse([])).to.eventually.be.null;
+			});
+
+			it('Error thrown for missing required argument (rest)', function() {
+				const arg = new Argument('test').rest(true);
+				expect(() => arg.parse([])).to.throw(
+					CommandError,
+					'Too few arguments! Missing argument <test>'
+				);
+			});
+
 			it('Error thrown for missing required argument', function() {
 				const arg = new Argument('test');
 				expect(() => arg.parse()).to.throw(
@@ -319,51 +703,612 @@ describe('Positional command parser', function() {
 			});
 		});
 
-		describe('Usage strings', function() {
+		describe('Typed arguments', function() {
 
-			it('Shows argument name', function() {
-				const arg = new Argument('test');
-				expect(arg.usage()).to.equal('<test>');
+			// Helper for checking the full message of parse errors
+			function parseError(arg, value) {
+				try {
+					arg.parse(value);
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					return err.full_message;
+				}
+				expect.fail('Parse should have thrown');
+			}
+
+			it('Integer', function() {
+				const arg = Argument.int('num');
+				expect(arg.parse('42')).to.equal(42);
+				expect(arg.parse('-7')).to.equal(-7);
+				expect(parseError(arg, '1.5')).to.equal(
+					"Bad <num> value '1.5': not an integer"
+				);
+				expect(parseError(arg, '12abc')).to.equal(
+					"Bad <num> value '12abc': not an integer"
+				);
+				expect(arg.parse('9007199254740991')).to.equal(Number.MAX_SAFE_INTEGER);
+				expect(parseError(arg, '99999999999999999999')).to.equal(
+					"Bad <num> value '99999999999999999999': " +
+					'integer is too large to be exact'
+				);
 			});
 
-			it('Optional arguments marked differently', function() {
-				const arg = new Argument('test').optional(true);
-				expect(arg.usage()).to.equal('[test]');
+			it('Float', function() {
+				const arg = Argument.float('num');
+				expect(arg.parse('1.5')).to.equal(1.5);
+				expect(arg.parse('-.5e2')).to.equal(-50);
+				expect(parseError(arg, 'Infinity')).to.equal(
+					"Bad <num> value 'Infinity': not a number"
+				);
+				expect(parseError(arg, '1e999')).to.equal(
+					"Bad <num> value '1e999': number is too large"
+				);
 			});
 
-			it('Varargs shows argument name multiple times', function() {
-				const arg = new Argument('test').varargs(true);
-				expect(arg.usage()).to.equal('<test_1> [test_2] ... [test_n]');
+			it('Min and max limits', function() {
+				const arg = Argument.int('count').min(1).max(100);
+				expect(arg.parse('1')).to.equal(1);
+				expect(arg.parse('100')).to.equal(100);
+				expect(parseError(arg, '0')).to.equal(
+					"Bad <count> value '0': must be at least 1"
+				);
+				expect(parseError(arg, '101')).to.equal(
+					"Bad <count> value '101': must be at most 100"
+				);
 			});
 
-			it('Optional varargs marked differently', function() {
-				const arg = new Argument('test').varargs(true).optional(true);
-				expect(arg.usage()).to.equal('[test_1] [test_2] ... [test_n]');
+			it('Min and max limits (varargs) (async)', function() {
+				const arg = Argument.float('num')
+					.asynchronous(true)
+					.max(10)
+					.varargs(true);
+				return expect(arg.parse(['1', '11'])).to.be.rejectedWith(
+					CommandError,
+					"Bad <num>(2) value '11'"
+				);
 			});
-		});
-	});
 
-	describe('Command', function() {
+			it('Non-number and non-date limits', function() {
+				expect(() => Argument.int('num').min('1')).to.throw(
+					SetupError,
+					'min was [object String], expected [object Number] or [object Date]'
+				);
+				expect(() => Argument.int('num').max({})).to.throw(
+					SetupError,
+					'max was [object Object], expected [object Number] or [object Date]'
+				);
+			});
 
-		describe('(static) split command string', function() {
+			it('Boolean', function() {
+				const arg = Argument.boolean('flag');
+				expect(['true', 'YES', 'on', '1'].map(v => arg.parse(v)))
+					.to.deep.equal([true, true, true, true]);
+				expect(['false', 'No', 'off', '0'].map(v => arg.parse(v)))
+					.to.deep.equal([false, false, false, false]);
+				expect(parseError(arg, 'maybe')).to.equal(
+					"Bad <flag> value 'maybe': not a boolean (e.g. true, false, yes, no)"
+				);
+			});
 
-			it('Command string split into object', function() {
-				expect(Command.split('mycmd arg1 arg2 arg3')).to.deep.equal([
-					'mycmd', 'arg1', 'arg2', 'arg3'
-				])
+			it('Enum', function() {
+				const arg = Argument.enum('mode', ['fast', 'slow']);
+				expect(arg.parse('slow')).to.equal('slow');
+				expect(parseError(arg, 'medium')).to.equal(
+					"Bad <mode> value 'medium': must be one of: fast, slow"
+				);
 			});
 
-			it('Empty splits ignored', function() {
-				expect(Command.split('   mycmd  arg1	arg2	'))
-					.to.deep.equal(['mycmd', 'arg1', 'arg2']);
+			it('Enum with bad values', function() {
+				const err = "values must be a non-empty 'Array<string>'";
+				expect(() => Argument.enum('mode')).to.throw(SetupError, err);
+				expect(() => Argument.enum('mode', [])).to.throw(SetupError, err);
+				expect(() => Argument.enum('mode', ['a', 1])).to.throw(SetupError, err);
 			});
 
-			it('Exception thrown for non-string values', function() {
-				expect(() => Command.split({})).to.throw(
-					'string was [object Object], expected [object String]'
+			it('Duration', function() {
+				const arg = Argument.duration('time');
+				expect(arg.parse('1h30m')).to.equal(90 * 60 * 1000);
+				expect(arg.parse('1.5s250ms')).to.equal(1750);
+				expect(arg.parse('2w1d')).to.equal(15 * 24 * 60 * 60 * 1000);
+				expect(parseError(arg, '1 hour')).to.equal(
+					"Bad <time> value '1 hour': not a duration (e.g. 1h30m)"
 				);
 			});
-		});
+
+			it('Date', function() {
+				const arg = Argument.date('when')
+					.min(new Date('2021-01-01T00:00:00Z'));
+				expect(arg.parse('2021-06-30T12:00:00Z').toISOString())
+					.to.equal('2021-06-30T12:00:00.000Z');
+				expect(arg.parse('2021-06-30')).to.be.instanceof(Date);
+				expect(parseError(arg, '06/30/2021')).to.equal(
+					"Bad <when> value '06/30/2021': not an ISO 8601 date (e.g. 2021-06-30)"
+				);
+				expect(parseError(arg, '2021-02-31x')).to.equal(
+					"Bad <when> value '2021-02-31x': not an ISO 8601 date (e.g. 2021-06-30)"
+				);
+				expect(parseError(arg, '2021-02-30')).to.equal(
+					"Bad <when> value '2021-02-30': not an ISO 8601 date (e.g. 2021-06-30)"
+				);
+				expect(parseError(arg, '2021-02-29T10:00:00Z')).to.equal(
+					"Bad <when> value '2021-02-29T10:00:00Z': " +
+					'not an ISO 8601 date (e.g. 2021-06-30)'
+				);
+				expect(arg.parse('2024-02-29').toISOString())
+					.to.equal('2024-02-29T00:00:00.000Z');
+				expect(parseError(arg, '2020-12-31')).to.equal(
+					"Bad <when> value '2020-12-31': must be at least 2021-01-01T00:00:00.000Z"
+				);
+			});
+
+			it('URL', function() {
+				const arg = Argument.url('link');
+				expect(arg.parse('https://example.com/a?b=c').hostname)
+					.to.equal('example.com');
+				expect(parseError(arg, 'example.com')).to.equal(
+					"Bad <link> value 'example.com': not a valid URL"
+				);
+			});
+
+			it('JSON', function() {
+				const arg = Argument.json('data');
+				expect(arg.parse('{"a": [1, 2]}')).to.deep.equal({ a: [1, 2] });
+				expect(parseError(arg, '{a}')).to.match(
+					/^Bad <data> value '{a}': not valid JSON \(.+\)$/
+				);
+			});
+
+			it('Optional typed argument can be omitted', function() {
+				expect(Argument.int('num').optional(true).parse()).to.be.null;
+			});
+
+			it('Preprocessor gets the converted value', function() {
+				const arg = Argument.int('num').preprocess(val => val * 2);
+				expect(arg.parse('21')).to.equal(42);
+				expect(parseError(arg, 'abc')).to.equal(
+					"Bad <num> value 'abc': not an integer"
+				);
+				expect(Argument.enum('mode', ['a', 'b']).preprocess(() => {})
+					.parse('a')).to.equal('a');
+				expect(arg.usage()).to.equal('<num:int>');
+			});
+
+			it('Preprocessor gets the converted value (async)', function() {
+				const arg = Argument.duration('time')
+					.preprocess(async val => val / 1000)
+					.max(60)
+					.asynchronous(true);
+				return Promise.all([
+					expect(arg.parse('1m')).to.eventually.equal(60),
+					expect(arg.parse('2m')).to.be.rejectedWith(
+						CommandError, "Bad <time> value '2m'"
+					),
+					expect(arg.parse('soon')).to.be.rejectedWith(
+						CommandError, "Bad <time> value 'soon'"
+					),
+				]);
+			});
+
+			it('Type shown in usage', function() {
+				expect(Argument.int('num').usage()).to.equal('<num:int>');
+				expect(Argument.enum('mode', ['a', 'b']).optional(true).usage())
+					.to.equal('[mode:a|b]');
+				expect(Argument.float('num').varargs(true).usage()).to.equal(
+					'<num_1:float> [num_2:float] ... [num_n:float]'
+				);
+				expect(new Argument('text').type('words').rest(true).usage())
+					.to.equal('<text:words...>');
+			});
+
+			it('Non-string type name', function() {
+				expect(() => new Argument('test').type({})).to.throw(
+					SetupError,
+					'type was [object Object], expected [object String]'
+				);
+				expect(() => new Argument('test').type('')).to.throw(
+					SetupError,
+					'type was empty string'
+				);
+			});
+
+			describe('Union arguments', function() {
+				const mention = () => new Argument('mention').preprocess(value => {
+					if (!/^<@\d+>$/.test(value)) throw new Error('not a mention');
+				});
+
+				it('First matching alternative used', function() {
+					const arg = Argument.union('target', [
+						mention(),
+						Argument.int('id'),
+						new Argument('name'),
+					]);
+					expect(arg.parse('<@12>')).to.deep.equal({
+						alternative: 'mention',
+						value: '<@12>',
+					});
+					expect(arg.parse('12')).to.deep.equal({
+						alternative: 'id',
+						value: 12,
+					});
+					expect(arg.parse('bob')).to.deep.equal({
+						alternative: 'name',
+						value: 'bob',
+					});
+				});
+
+				it('Error lists every rejected alternative', function() {
+					const arg = Argument.union('target', [
+						mention(),
+						Argument.int('id').min(1),
+					]);
+					expect(parseError(arg, 'bob')).to.equal(
+						"Bad <target> value 'bob': matched none of: " +
+						'mention (not a mention), id (not an integer)'
+					);
+					expect(parseError(arg, '0')).to.equal(
+						"Bad <target> value '0': matched none of: " +
+						'mention (not a mention), id (must be at least 1)'
+					);
+				});
+
+				it('Async alternatives tried in order', function() {
+					const arg = Argument.union('target', [
+						new Argument('user').preprocess(async () => {
+							throw new Error('no such user');
+						}),
+						new Argument('role').preprocess(async value => `@${value}`),
+					]).asynchronous(true);
+					return Promise.all([
+						expect(arg.parse('mods')).to.eventually.deep.equal({
+							alternative: 'role',
+							value: '@mods',
+						}),
+						expect(Argument.union('target', [
+							new Argument('user').preprocess(async () => {
+								throw new Error('no such user');
+							}),
+						]).asynchronous(true).parse('x')).to.be.rejectedWith(
+							CommandError,
+							"Bad <target> value 'x'"
+						),
+					]);
+				});
+
+				it('Alternatives follow async setting', function() {
+					const id = Argument.int('id').asynchronous(true);
+					const role = new Argument('role')
+						.preprocess(async value => `@${value}`);
+					const arg = Argument.union('target', [id, role]);
+					expect(id.is_async).to.be.false;
+
+					const cmd = new Command('ping')
+						.addArgSet([arg])
+						.asynchronous(true);
+					expect(arg.is_async).to.be.true;
+					expect(id.is_async).to.be.true;
+					expect(role.is_async).to.be.true;
+
+					cmd.asynchronous(false);
+					expect(id.is_async).to.be.false;
+					expect(role.is_async).to.be.false;
+				});
+
+				it('Async alternatives in async command', function() {
+					const cmd = new Command('ping')
+						.addArgSet([Argument.union('target', [
+							new Argument('user').preprocess(async () => {
+								throw new Error('no such user');
+							}),
+							new Argument('role').preprocess(async value => `@${value}`),
+						])])
+						.handler(args => args.target)
+						.asynchronous(true);
+					return expect(cmd.execute('mods')).to.eventually.deep.equal({
+						alternative: 'role',
+						value: '@mods',
+					});
+				});
+
+				it('Alternatives shown as type in usage', function() {
+					expect(Argument.union('target', [mention(), Argument.int('id')])
+						.usage()
+					).to.equal('<target:mention|id>');
+				});
+
+				it('Bad alternatives', function() {
+					const err = "alternatives must be a non-empty 'Array<Argument>'";
+					expect(() => Argument.union('target', [])).to.throw(SetupError, err);
+					expect(() => Argument.union('target', ['id'])).to.throw(SetupError, err);
+				});
+			});
+		});
+
+		describe('Usage strings', function() {
+
+			it('Shows argument name', function() {
+				const arg = new Argument('test');
+				expect(arg.usage()).to.equal('<test>');
+			});
+
+			it('Optional arguments marked differently', function() {
+				const arg = new Argument('test').optional(true);
+				expect(arg.usage()).to.equal('[test]');
+			});
+
+			it('Varargs shows argument name multiple times', function() {
+				const arg = new Argument('test').varargs(true);
+				expect(arg.usage()).to.equal('<test_1> [test_2] ... [test_n]');
+			});
+
+			it('Optional varargs marked differently', function() {
+				const arg = new Argument('test').varargs(true).optional(true);
+				expect(arg.usage()).to.equal('[test_1] [test_2] ... [test_n]');
+			});
+
+			it('Default value shown', function() {
+				expect(new Argument('test').optional(true).default(3).usage())
+					.to.equal('[test=3]');
+				expect(Argument.int('test').optional(true).default(3).usage())
+					.to.equal('[test:int=3]');
+				expect(new Argument('test')
+					.optional(true)
+					.varargs(true)
+					.default(['a', 'b'])
+					.usage()
+				).to.equal('[test_1=a,b] [test_2] ... [test_n]');
+			});
+
+			it('Literal shown verbatim', function() {
+				expect(Argument.literal('set').usage()).to.equal('set');
+				expect(Argument.literal('all').optional(true).usage())
+					.to.equal('[all]');
+			});
+
+			it('Tuple values grouped', function() {
+				expect(new Argument('pos').tuple(['x', 'y', 'z']).usage())
+					.to.equal('<pos: x y z>');
+				expect(new Argument('pos').tuple(['x', 'y']).optional(true).usage())
+					.to.equal('[pos: x y]');
+			});
+
+			it('Varargs counts shown', function() {
+				const arg = () => new Argument('test').varargs(true);
+				expect(arg().maxCount(5).usage())
+					.to.equal('<test_1> ... [test_5]');
+				expect(arg().minCount(2).maxCount(5).usage())
+					.to.equal('<test_1> <test_2> ... [test_5]');
+				expect(arg().minCount(2).maxCount(3).usage())
+					.to.equal('<test_1> <test_2> [test_3]');
+				expect(arg().minCount(2).usage())
+					.to.equal('<test_1> <test_2> [test_3] ... [test_n]');
+				expect(arg().optional(true).maxCount(5).usage())
+					.to.equal('[test_1] ... [test_5]');
+			});
+
+			it('Default function not shown', function() {
+				expect(new Argument('test').optional(true).default(() => 3).usage())
+					.to.equal('[test]');
+			});
+
+			it('Rest argument marked with ellipsis', function() {
+				expect(new Argument('test').rest(true).usage())
+					.to.equal('<test...>');
+				expect(new Argument('test').rest(true).optional(true).usage())
+					.to.equal('[test...]');
+			});
+
+			it('Custom brackets and names', function() {
+				const style = { required: ['{', '}'], optional: ['', '?'] };
+				expect(new Argument('test').usage(style)).to.equal('{test}');
+				expect(Argument.int('test').optional(true).default(3).usage(style))
+					.to.equal('test:int=3?');
+				expect(Argument.literal('all').optional(true).usage(style))
+					.to.equal('all?');
+				expect(new Argument('pos').tuple(['x', 'y']).usage({ uppercase: true }))
+					.to.equal('<POS: X Y>');
+				expect(Argument.literal('all').usage({ uppercase: true }))
+					.to.equal('all');
+			});
+
+			it('Custom varargs notation', function() {
+				const style = { required: ['', ''], varargs: 'ellipsis', uppercase: true };
+				expect(new Argument('test').varargs(true).usage(style))
+					.to.equal('TEST...');
+				expect(new Argument('test').varargs(true).optional(true).usage(style))
+					.to.equal('[TEST]...');
+				expect(new Argument('test').varargs(true).maxCount(2).usage({
+					required: ['{', '}'],
+					optional: ['', '?'],
+				})).to.equal('{test_1} test_2?');
+			});
+
+			it('Bad usage styles', function() {
+				const arg = new Argument('test');
+				expect(() => arg.usage('<>')).to.throw(
+					SetupError,
+					'usage style was [object String], expected [object Object]'
+				);
+				expect(() => arg.usage({ required: ['<'] })).to.throw(
+					SetupError,
+					"required brackets must be an 'Array<string>' with 2 strings"
+				);
+				expect(() => arg.usage({ optional: [1, 2] })).to.throw(
+					SetupError,
+					"optional brackets must be an 'Array<string>' with 2 strings"
+				);
+				expect(() => arg.usage({ varargs: 'dots' })).to.throw(
+					SetupError, "varargs style must be 'numbered' or 'ellipsis'"
+				);
+				expect(() => arg.usage({ separator: '' })).to.throw(
+					SetupError, 'separator must be a non-empty string'
+				);
+				expect(() => arg.usage({ uppercase: 'yes' })).to.throw(
+					SetupError,
+					'uppercase was [object String], expected [object Boolean]'
+				);
+			});
+		});
+	});
+
+	describe('Command', function() {
+
+		describe('(static) split command string', function() {
+
+			it('Command string split into object', function() {
+				expect(Command.split('mycmd arg1 arg2 arg3')).to.deep.equal([
+					'mycmd', 'arg1', 'arg2', 'arg3'
+				])
+			});
+
+			it('Empty splits ignored', function() {
+				expect(Command.split('   mycmd  arg1	arg2	'))
+					.to.deep.equal(['mycmd', 'arg1', 'arg2']);
+			});
+
+			it('Exception thrown for non-string values', function() {
+				expect(() => Command.split({})).to.throw(
+					'string was [object Object], expected [object String]'
+				);
+			});
+
+			it('Double quotes group words into one token', function() {
+				expect(Command.split('say "hello world" again')).to.deep.equal([
+					'say', 'hello world', 'again'
+				]);
+			});
+
+			it('Single quotes group words into one token', function() {
+				expect(Command.split("say 'hello   world'")).to.deep.equal([
+					'say', 'hello   world'
+				]);
+			});
+
+			it('Quotes of the other kind are literal inside quotes', function() {
+				expect(Command.split(`"it's" 'say "hi"'`)).to.deep.equal([
+					"it's", 'say "hi"'
+				]);
+			});
+
+			it('Quoted text joins adjacent text', function() {
+				expect(Command.split('a"b c"d e')).to.deep.equal(['ab cd', 'e']);
+			});
+
+			it('Empty quotes produce an empty token', function() {
+				expect(Command.split(`one "" '' two`)).to.deep.equal([
+					'one', '', '', 'two'
+				]);
+			});
+
+			it('Backslash escapes characters outside quotes', function() {
+				expect(Command.split('hello\\ world \\"quoted\\"')).to.deep.equal([
+					'hello world', '"quoted"'
+				]);
+			});
+
+			it('Backslash escapes only quotes and backslashes in double quotes',
+			function() {
+				expect(Command.split('"a \\"b\\" \\\\ \\n"')).to.deep.equal([
+					'a "b" \\ \\n'
+				]);
+			});
+
+			it('Backslash is literal inside single quotes', function() {
+				expect(Command.split("'a\\ b'")).to.deep.equal(['a\\ b']);
+			});
+
+			it('Exception thrown for unterminated quotes', function() {
+				expect(() => Command.split('say "hello world')).to.throw(
+					CommandError,
+					'Unterminated quote! Missing closing "'
+				);
+				expect(() => Command.split("say 'hello world")).to.throw(
+					CommandError,
+					"Unterminated quote! Missing closing '"
+				);
+			});
+
+			it('Tokens include position in original string', function() {
+				const input = `say  "hello world" it\\'s`;
+				expect(Command.tokenize(input)).to.deep.equal([
+					{ value: 'say',         start: 0,  end: 3,  input: input },
+					{ value: 'hello world', start: 5,  end: 18, input: input },
+					{ value: "it's",        start: 19, end: 24, input: input },
+				]);
+			});
+
+			it('Backticks are literal by default', function() {
+				expect(Command.split('run `a b`')).to.deep.equal(['run', '`a', 'b`']);
+			});
+
+			it('Inline code kept as single token', function() {
+				expect(Command.split('run `a  "b" \\c` d', { code: true }))
+					.to.deep.equal(['run', 'a  "b" \\c', 'd']);
+			});
+
+			it('Code block kept as single token with language', function() {
+				const input = 'run ```js\nlet x = "a  b";\n\nfoo();\n``` after';
+				expect(Command.tokenize(input, { code: true })).to.deep.equal([
+					{ value: 'run', start: 0, end: 3, input: input },
+					{
+						value: 'let x = "a  b";\n\nfoo();',
+						start: 4,
+						end: 37,
+						input: input,
+						lang: 'js',
+					},
+					{ value: 'after', start: 38, end: 43, input: input },
+				]);
+			});
+
+			it('Code block without language', function() {
+				expect(Command.tokenize('```\nabc\n```', { code: true })[0])
+					.to.include({ value: 'abc', lang: null });
+				expect(Command.tokenize('```a b```', { code: true })[0])
+					.to.include({ value: 'a b', lang: null });
+			});
+
+			it('Code joined with adjacent text', function() {
+				expect(Command.split('a`b c`d e', { code: true }))
+					.to.deep.equal(['ab cd', 'e']);
+				expect(Command.tokenize('x=`a b`', { code: true })).to.deep.equal([
+					{ value: 'x=a b', start: 0, end: 7, input: 'x=`a b`' },
+				]);
+			});
+
+			it('Only backticks of the same length close code', function() {
+				expect(Command.split('run ```\na ```` b `` c\n``` d', { code: true }))
+					.to.deep.equal(['run', 'a ```` b `` c', 'd']);
+				expect(Command.split('``a ` b`` c', { code: true }))
+					.to.deep.equal(['a ` b', 'c']);
+				expect(() => Command.split('`a`` b', { code: true })).to.throw(
+					CommandError, 'Unterminated code! Missing closing `'
+				);
+			});
+
+			it('Exception thrown for unterminated code', function() {
+				try {
+					Command.tokenize('run ```js\nabc``', { code: true });
+					expect.fail('Tokenize should have thrown');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.message).to.equal(
+						'Unterminated code! Missing closing ```'
+					);
+					expect(err.span).to.deep.equal({ start: 4, end: 15 });
+				}
+			});
+
+			it('Unterminated quote error points at quote', function() {
+				try {
+					Command.tokenize('say "hello world');
+					expect.fail('Tokenize should have thrown');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.input).to.equal('say "hello world');
+					expect(err.span).to.deep.equal({ start: 4, end: 16 });
+				}
+			});
+		});
 
 		describe('Basic Errors', function() {
 
@@ -394,6 +1339,13 @@ describe('Positional command parser', function() {
 				);
 			});
 
+			it('Non-boolean collect errors flag', function() {
+				expect(() => new Command('test').collectErrors(1)).to.throw(
+					SetupError,
+					'is_collect_errors was [object Number], expected [object Boolean]'
+				);
+			});
+
 			it('Non-string description', function() {
 				expect(() => new Command('test').description({})).to.throw(
 					SetupError,
@@ -401,6 +1353,42 @@ describe('Positional command parser', function() {
 				);
 			});
 
+			it('Bad aliases', function() {
+				expect(() => new Command('test').alias('ok', {})).to.throw(
+					SetupError,
+					'alias was [object Object], expected [object String]'
+				);
+				expect(() => new Command('test').alias('')).to.throw(
+					SetupError, 'alias was empty string'
+				);
+				expect(() => new Command('test').alias('test')).to.throw(
+					SetupError, "Defined duplicate alias 'test' for command 'test'"
+				);
+				expect(() => new Command('test').alias('t').alias('t')).to.throw(
+					SetupError, "Defined duplicate alias 't' for command 'test'"
+				);
+				expect(() => new Command('test').alias('t', 't')).to.throw(
+					SetupError, "Defined duplicate alias 't' for command 'test'"
+				);
+			});
+
+			it('Non-string category', function() {
+				expect(() => new Command('test').category({})).to.throw(
+					SetupError,
+					'category was [object Object], expected [object String]'
+				);
+				expect(() => new Command('test').category('')).to.throw(
+					SetupError, 'category was empty string'
+				);
+			});
+
+			it('Non-boolean hidden flag', function() {
+				expect(() => new Command('test').hidden(1)).to.throw(
+					SetupError,
+					'is_hidden was [object Number], expected [object Boolean]'
+				);
+			});
+
 			it('Non-function handler', function() {
 				expect(() => new Command('test').handler({})).to.throw(
 					SetupError,
@@ -414,6 +1402,20 @@ describe('Positional command parser', function() {
 					'error handler was [object Object], expected [object Function]'
 				);
 			});
+
+			it('Non-function validator', function() {
+				expect(() => new Command('test').validate({})).to.throw(
+					SetupError,
+					'validator was [object Object], expected [object Function]'
+				);
+			});
+
+			it('Non-function tokenizer', function() {
+				expect(() => new Command('test').tokenizer({})).to.throw(
+					SetupError,
+					'tokenizer was [object Object], expected [object Function]'
+				);
+			});
 		});
 
 		describe('Usage strings', function() {
@@ -460,20 +1462,238 @@ describe('Positional command parser', function() {
 				);
 				expect(cmd.desc).to.equal('Hello');
 			});
-		});
 
-		// NOTE: We're accessing private data for these tests. Sorry.
-		describe('Changing async setting', function() {
+			it('Custom usage style', function() {
+				const cmd = new Command('cp')
+					.addArgSet([
+						new Argument('src').varargs(true),
+						new Argument('dest'),
+					])
+					.usageStyle({ required: ['', ''], varargs: 'ellipsis', uppercase: true });
+				expect(cmd.usage()).to.equal('cp SRC... DEST');
+				expect(cmd.usage_style).to.deep.equal({
+					required: ['', ''],
+					optional: ['[', ']'],
+					varargs: 'ellipsis',
+					separator: ' ',
+					uppercase: true,
+				});
+				expect(cmd.help()).to.equal(
+					'cp\n' +
+					'\n' +
+					'Usage:\n' +
+					'  cp SRC... DEST\n' +
+					'\n' +
+					'Arguments:\n' +
+					'  SRC   (required, varargs, followed by DEST)\n' +
+					'  DEST  (required)'
+				);
+				expect(cmd.usageStyle().usage()).to.equal(
+					'cp <src_1> [src_2] ... [src_n] <dest>'
+				);
+			});
 
-			it('Command async setting applied to new argument set', function() {
-				const cmd = new Command('test').asynchronous(true);
-				const arg = new Argument('test');
+			it('Custom separator', function() {
+				const cmd = new Command('add')
+					.addArgSet([new Argument('a'), new Argument('b')])
+					.usageStyle({ separator: ', ' });
+				expect(cmd.usage()).to.equal('add, <a>, <b>');
+				expect(cmd.help({ width: 10 })).to.have.string(
+					'Usage:\n' +
+					'  add, <a>,\n' +
+					'      <b>'
+				);
+			});
 
-				expect(arg.is_async).to.be.false;
+			it('Usage style used in errors', function() {
+				const cmd = new Command('test')
+					.addArgSet([new Argument('aaa')])
+					.addArgSet([new Argument('bbb'), new Argument('ccc'), new Argument('ddd')])
+					.usageStyle({ required: ['{', '}'] });
+				expect(() => cmd.parse(['x', 'y'])).to.throw(
+					CommandError,
+					'Usage: test {aaa}\nUsage: test {bbb} {ccc} {ddd}'
+				);
+			});
 
-				cmd.addArgSet([arg]);
+			it('Usage style used for arguments in errors', function() {
+				const cmd = new Command('move')
+					.usageStyle({ required: ['', ''], uppercase: true })
+					.addArgSet([
+						Argument.int('count'),
+						new Argument('pos').tuple(['x', 'y']),
+					]);
+				expect(() => cmd.parse(['a', '1', '2'])).to.throw(
+					CommandError, "Bad COUNT value 'a'"
+				);
+				expect(() => cmd.parse(['1', '2'])).to.throw(
+					CommandError, 'Too few arguments! Missing Y for argument POS'
+				);
 
-				expect(arg.is_async).to.be.true;
+				cmd.usageStyle({ required: ['{', '}'] });
+				expect(() => cmd.parse(['a', '1', '2'])).to.throw(
+					CommandError, "Bad {count} value 'a'"
+				);
+			});
+		});
+
+		describe('Detailed help', function() {
+
+			it('Name and usage only', function() {
+				expect(new Command('test').help()).to.equal(
+					'test\n' +
+					'\n' +
+					'Usage:\n' +
+					'  test'
+				);
+			});
+
+			it('Description, arguments, and examples', function() {
+				const cmd = new Command('roll')
+					.description('Rolls some dice')
+					.addArgSet([Argument.literal('help')])
+					.addArgSet([
+						Argument.int('sides').description('Sides per die').min(2),
+						Argument.int('count').optional(true).default(1),
+					])
+					.addArgSet([
+						Argument.int('sides'),
+						Argument.int('count'),
+						new Argument('labels').varargs(true).maxCount(3),
+					])
+					.example('roll 6')
+					.example('roll 20 2');
+				expect(cmd.examples).to.deep.equal(['roll 6', 'roll 20 2']);
+				expect(cmd.help()).to.equal(
+					'roll - Rolls some dice\n' +
+					'\n' +
+					'Usage:\n' +
+					'  roll help\n' +
+					'  roll <sides:int> [count:int=1]\n' +
+					'  roll <sides:int> <count:int> <labels_1> [labels_2] [labels_3]\n' +
+					'\n' +
+					'Arguments:\n' +
+					'  <sides>   Sides per die (int, required, at least 2)\n' +
+					'  <count>   (int, optional, default 1)\n' +
+					'  <labels>  (required, varargs, 1 to 3 values)\n' +
+					'\n' +
+					'Examples:\n' +
+					'  roll 6\n' +
+					'  roll 20 2'
+				);
+			});
+
+			it('Rest and tuple arguments described', function() {
+				const cmd = new Command('tp')
+					.addArgSet([
+						new Argument('pos').tuple(['x', 'y']),
+						new Argument('note').rest(true).optional(true),
+					]);
+				expect(cmd.help()).to.have.string(
+					'Arguments:\n' +
+					'  <pos>   (required, values x y)\n' +
+					'  <note>  (optional, rest of input)'
+				);
+			});
+
+			it('Wrapped to a width', function() {
+				const cmd = new Command('roll')
+					.description('Rolls some dice and adds them up')
+					.addArgSet([
+						Argument.int('sides').description('Sides on each of the dice'),
+						Argument.int('count'),
+						new Argument('label').optional(true),
+					]);
+				expect(cmd.help({ width: 30 })).to.equal(
+					'roll - Rolls some dice and\n' +
+					'       adds them up\n' +
+					'\n' +
+					'Usage:\n' +
+					'  roll <sides:int> <count:int>\n' +
+					'       [label]\n' +
+					'\n' +
+					'Arguments:\n' +
+					'  <sides>  Sides on each of\n' +
+					'           the dice (int,\n' +
+					'           required)\n' +
+					'  <count>  (int, required)\n' +
+					'  <label>  (optional)'
+				);
+			});
+
+			it('Varargs usage wrapped to a width', function() {
+				const cmd = new Command('copy')
+					.addArgSet([
+						new Argument('source_files').varargs(true),
+						new Argument('destination_dir'),
+					]);
+				expect(cmd.help({ width: 40 })).to.have.string(
+					'Usage:\n' +
+					'  copy <source_files_1> [source_files_2]\n' +
+					'       ... [source_files_n]\n' +
+					'       <destination_dir>\n'
+				);
+				expect(cmd.usageStyle({ separator: ', ' }).help({ width: 40 }))
+					.to.have.string(
+						'Usage:\n' +
+						'  copy, <source_files_1>\n' +
+						'       [source_files_2] ...\n' +
+						'       [source_files_n],\n' +
+						'       <destination_dir>\n'
+					);
+			});
+
+			it('Colored names and arguments', function() {
+				const cmd = new Command('get')
+					.addArgSet([Argument.literal('all')])
+					.addArgSet([new Argument('key'), new Argument('def').optional(true)]);
+				expect(cmd.help({ color: true })).to.equal(
+					'\x1b[1mget\x1b[0m\n' +
+					'\n' +
+					'Usage:\n' +
+					'  \x1b[1mget\x1b[0m \x1b[1mall\x1b[0m\n' +
+					'  \x1b[1mget\x1b[0m \x1b[36m<key>\x1b[0m \x1b[33m[def]\x1b[0m\n' +
+					'\n' +
+					'Arguments:\n' +
+					'  \x1b[36m<key>\x1b[0m  (required)\n' +
+					'  \x1b[33m<def>\x1b[0m  (optional)'
+				);
+				expect(cmd.help({ color: false })).to.equal(cmd.help());
+			});
+
+			it('Bad formatting options', function() {
+				expect(() => new Command('test').help({ width: 0 })).to.throw(
+					SetupError, 'width must be a positive integer'
+				);
+				expect(() => new Command('test').help({ color: 'yes' })).to.throw(
+					SetupError, 'color was [object String], expected [object Boolean]'
+				);
+			});
+
+			it('Bad examples', function() {
+				expect(() => new Command('test').example({})).to.throw(
+					SetupError,
+					'example was [object Object], expected [object String]'
+				);
+				expect(() => new Command('test').example('')).to.throw(
+					SetupError,
+					'example was empty string'
+				);
+			});
+		});
+
+		// NOTE: We're accessing private data for these tests. Sorry.
+		describe('Changing async setting', function() {
+
+			it('Command async setting applied to new argument set', function() {
+				const cmd = new Command('test').asynchronous(true);
+				const arg = new Argument('test');
+
+				expect(arg.is_async).to.be.false;
+
+				cmd.addArgSet([arg]);
+
+				expect(arg.is_async).to.be.true;
 			});
 
 			it('Async setting applied recursively to all argument sets', function() {
@@ -511,11 +1731,11 @@ describe('Positional command parser', function() {
 
 			const pre = 'Ambiguous argument sets';
 
-			it('Exception for multiple arg sets with same length', function() {
+			it('Multiple arg sets with same length allowed', function() {
 				expect(() => new Command('test')
 					.addArgSet([new Argument('test1'), new Argument('test2')])
 					.addArgSet([new Argument('test3'), new Argument('test4')])
-				).to.throw(SetupError, `${pre}: Multiple sets of length 2`);
+				).to.not.throw();
 			});
 
 			it('Exception thrown if multiple arg sets have varargs', function() {
@@ -525,22 +1745,120 @@ describe('Positional command parser', function() {
 				).to.throw(SetupError, `${pre}: Multiple sets containing varargs`);
 			});
 
-			it('Exception thrown for non-last optional argument', function() {
+			it('Optional argument allowed anywhere in set', function() {
+				expect(() => new Command('test')
+					.addArgSet([
+						new Argument('opt').optional(true),
+						new Argument('req'),
+					])
+				).to.not.throw();
+			});
+
+			it('Separated optional arguments allowed', function() {
+				expect(() => new Command('test')
+					.addArgSet([
+						new Argument('opt1').optional(true),
+						new Argument('req'),
+						new Argument('opt2').optional(true),
+					])
+				).to.not.throw();
+			});
+
+			it('Optional argument allowed before or with varargs', function() {
+				expect(() => new Command('test')
+					.addArgSet([
+						new Argument('opt').optional(true),
+						new Argument('var').varargs(true),
+					])
+				).to.not.throw();
+				expect(() => new Command('test')
+					.addArgSet([
+						new Argument('var').varargs(true).maxCount(2),
+						new Argument('opt').optional(true),
+					])
+				).to.not.throw();
+			});
+
+			it('Exception thrown for optional argument after varargs', function() {
+				const err = `${pre}: optional arguments cannot come after varargs in set`;
 				expect(() => new Command('test')
 					.addArgSet([
+						new Argument('var').varargs(true),
 						new Argument('opt').optional(true),
+					])
+				).to.throw(SetupError, err);
+				expect(() => new Command('test')
+					.addArgSet([
+						new Argument('rest').rest(true),
 						new Argument('req'),
+						new Argument('opt').optional(true),
+					])
+				).to.throw(SetupError, err);
+			});
+
+			it('Exception thrown if multiple sets accept same number of args',
+			function() {
+				expect(() => new Command('test')
+					.addArgSet([new Argument('aaa'), new Argument('bbb')])
+					.addArgSet([
+						new Argument('ccc'),
+						new Argument('ddd').optional(true),
+						new Argument('eee').optional(true),
+					])
+				).to.not.throw();
+				expect(() => new Command('test')
+					.addArgSet([new Argument('aaa')])
+					.addArgSet([
+						new Argument('bbb').optional(true),
+						new Argument('ccc').optional(true),
+						new Argument('ddd'),
+						new Argument('eee'),
 					])
-				).to.throw(SetupError, `${pre}: optional argument must be last in set`);
+					.addArgSet([
+						new Argument('fff'),
+						new Argument('ggg').optional(true),
+						new Argument('hhh'),
+					])
+				).to.throw(SetupError, `${pre}: Multiple sets accept 2 arguments`);
 			});
 
-			it('Exception thrown if non-last varargs argument', function() {
+			it('Varargs argument allowed anywhere in set', function() {
 				expect(() => new Command('test')
 					.addArgSet([
 						new Argument('test').varargs(true),
 						new Argument('last'),
 					])
-				).to.throw(SetupError, `${pre}: varargs argument must be last in set`);
+				).to.not.throw();
+				expect(() => new Command('test')
+					.addArgSet([
+						new Argument('first'),
+						new Argument('test').rest(true),
+						new Argument('last'),
+					])
+				).to.not.throw();
+			});
+
+			it('Exception thrown for multiple varargs arguments in set', function() {
+				expect(() => new Command('test')
+					.addArgSet([
+						new Argument('test').varargs(true),
+						new Argument('last').varargs(true),
+					])
+				).to.throw(SetupError, `${pre}: Multiple varargs arguments in set`);
+				expect(() => new Command('test')
+					.addArgSet([
+						new Argument('test').varargs(true),
+						new Argument('last').rest(true),
+					])
+				).to.throw(SetupError, `${pre}: Multiple varargs arguments in set`);
+			});
+
+			it('Exception thrown if varargs and rest in multiple arg sets',
+			function() {
+				expect(() => new Command('test')
+					.addArgSet([new Argument('var').varargs(true)])
+					.addArgSet([new Argument('test'), new Argument('rest').rest(true)])
+				).to.throw(SetupError, `${pre}: Multiple sets containing varargs`);
 			});
 
 			it('Exception thrown if varargs arg set is not the largest set',
@@ -624,6 +1942,47 @@ describe('Positional command parser', function() {
 				]);
 			});
 
+			it('Preprocessor sees earlier arguments and forwarded values',
+			function() {
+				const cmd = new Command('range')
+					.addArgSet([
+						Argument.int('start'),
+						new Argument('end').preprocess((val, token, ctx) => {
+							if (Number(val) < ctx.args.start) {
+								throw new RangeError(`must be at least ${ctx.args.start}`);
+							}
+							return Number(val) * ctx.forward[0];
+						}),
+					])
+					.handler(args => args.end);
+				expect(cmd.execute('5 10', 2)).to.equal(20);
+				expect(() => cmd.execute('5 1', 2)).to.throw(
+					CommandError, "Bad <end> value '1'"
+				);
+			});
+
+			it('Preprocessor sees earlier arguments and forwarded values (async)',
+			function() {
+				const contexts = [];
+				const cmd = new Command('test')
+					.addArgSet([
+						Argument.literal('for'),
+						new Argument('aaa').preprocess(async val => val.toUpperCase()),
+						new Argument('bbb').preprocess(async (val, token, ctx) => {
+							contexts.push(ctx);
+						}),
+					])
+					.asynchronous(true)
+					.handler(args => args);
+				return cmd.execute('for a b', 'fwd').then(() => {
+					expect(contexts).to.deep.equal([{
+						args: { _: ['for', 'a', 'b'], aaa: 'A' },
+						index: 2,
+						forward: ['fwd'],
+					}]);
+				});
+			});
+
 			it('Optional argument can be omitted', function() {
 				const cmd = new Command('test')
 					.addArgSet([ new Argument('arg').optional(true) ])
@@ -635,6 +1994,31 @@ describe('Positional command parser', function() {
 				});
 			});
 
+			it('Optional argument uses default value', function() {
+				const cmd = new Command('test')
+					.addArgSet([
+						new Argument('arg'),
+						new Argument('opt')
+							.optional(true)
+							.default((thing) => thing.toUpperCase()),
+					])
+					.handler(args => args);
+				expect(cmd.execute(['a'], 'xyz')).to.deep.equal({
+					_: ['a'],
+					arg: 'a',
+					opt: 'XYZ',
+				});
+				expect(cmd.usage()).to.equal('test <arg> [opt]');
+			});
+
+			it('Optional argument uses default value (async)', function() {
+				const cmd = new Command('test')
+					.addArgSet([ new Argument('opt').optional(true).default('def') ])
+					.asynchronous(true)
+					.handler(args => args.opt);
+				return expect(cmd.execute([])).to.eventually.equal('def');
+			});
+
 			it('Can execute command with string', function() {
 				const cmd = new Command('test')
 					.addArgSet([ new Argument('arg'), new Argument('aaa') ])
@@ -646,6 +2030,130 @@ describe('Positional command parser', function() {
 				});
 			});
 
+			it('Can execute command with quoted string', function() {
+				const cmd = new Command('test')
+					.addArgSet([ new Argument('arg'), new Argument('aaa') ])
+					.handler(args => args);
+				expect(cmd.execute('"hello there" goodbye')).to.deep.equal({
+					_: ['hello there', 'goodbye'],
+					arg: 'hello there',
+					aaa: 'goodbye',
+				});
+			});
+
+			it('Error thrown for unterminated quote', function() {
+				const cmd = new Command('test')
+					.addArgSet([ new Argument('arg') ]);
+				try {
+					cmd.execute('"hello');
+					expect.fail('Execute should have thrown');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.command).to.equal(cmd);
+					expect(err.full_message).to.equal(
+						'Unterminated quote! Missing closing "'
+					);
+				}
+			});
+
+			it('Error thrown for unterminated quote (async)', function() {
+				const cmd = new Command('test')
+					.addArgSet([ new Argument('arg') ])
+					.asynchronous(true);
+				return cmd.execute('"hello')
+					.then(() => expect.fail('Execute should have thrown'))
+					.catch(err => {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(cmd);
+						expect(err.full_message).to.equal(
+							'Unterminated quote! Missing closing "'
+						);
+					});
+			});
+
+			describe('Custom tokenizer', function() {
+				const commaSplit = string => string.split(',');
+
+				it('Tokenizer used for string input', function() {
+					const cmd = new Command('test')
+						.addArgSet([ new Argument('arg'), new Argument('aaa') ])
+						.tokenizer(commaSplit)
+						.handler(args => args);
+					expect(cmd.execute('hello there,goodbye')).to.deep.equal({
+						_: ['hello there', 'goodbye'],
+						arg: 'hello there',
+						aaa: 'goodbye',
+					});
+				});
+
+				it('Tokenizer not used for Array input', function() {
+					const cmd = new Command('test')
+						.addArgSet([ new Argument('arg') ])
+						.tokenizer(() => { throw new Error('should not see this'); })
+						.handler(args => args.arg);
+					expect(cmd.execute(['a,b'])).to.equal('a,b');
+				});
+
+				it('Async tokenizer used for string input (async)', function() {
+					const cmd = new Command('test')
+						.addArgSet([ new Argument('arg'), new Argument('aaa') ])
+						.asynchronous(true)
+						.tokenizer(async string => commaSplit(string))
+						.handler(args => [args.arg, args.aaa]);
+					return expect(cmd.execute('a b,c'))
+						.to.eventually.deep.equal(['a b', 'c']);
+				});
+
+				it('Omitting tokenizer restores default', function() {
+					const cmd = new Command('test')
+						.addArgSet([ new Argument('arg') ])
+						.tokenizer(commaSplit)
+						.tokenizer()
+						.handler(args => args.arg);
+					expect(cmd.execute('"a,b"')).to.equal('a,b');
+				});
+
+				it('Error thrown in tokenizer bubbles up', function() {
+					const cmd = new Command('test')
+						.tokenizer(() => { throw new Error('no splitting today'); });
+					try {
+						cmd.execute('a b');
+						expect.fail('Execute should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(cmd);
+						expect(err.nested).to.be.instanceof(Error);
+						expect(err.full_message).to.equal(
+							'Failed to split command: no splitting today'
+						);
+					}
+				});
+
+				it('Error thrown in tokenizer bubbles up (async)', function() {
+					const cmd = new Command('test')
+						.asynchronous(true)
+						.tokenizer(async () => { throw new Error('no splitting today'); });
+					return cmd.execute('a b')
+						.then(() => expect.fail('Execute should have thrown'))
+						.catch(err => {
+							expect(err).to.be.instanceof(CommandError);
+							expect(err.command).to.equal(cmd);
+							expect(err.nested).to.be.instanceof(Error);
+							expect(err.full_message).to.equal(
+								'Failed to split command: no splitting today'
+							);
+						});
+				});
+
+				it('Error thrown for non-Array tokenizer output', function() {
+					const cmd = new Command('test').tokenizer(() => 'abc');
+					expect(() => cmd.execute('abc')).to.throw(
+						CommandError,
+						"tokenizer returned [object String], expected 'Array<string>'"
+					);
+				});
+			});
+
 			it('Error thrown for invalid argument bubbles up', function() {
 				const cmd = new Command('test')
 					.addArgSet([ new Argument('xyz')
@@ -794,6 +2302,87 @@ describe('Positional command parser', function() {
 				return expect(cmd.execute())
 					.to.eventually.equal('my cool error return value');
 			});
+
+			describe('Validators', function() {
+				const range = () => new Command('random')
+					.addArgSet([Argument.int('min'), Argument.int('max')])
+					.validate(args => {
+						if (args.min >= args.max) {
+							throw new Error('min must be less than max');
+						}
+					})
+					.handler(args => args.max - args.min);
+
+				it('Validator passes arguments to handler', function() {
+					expect(range().execute('1 5')).to.equal(4);
+				});
+
+				it('Validator error goes to error handler', function() {
+					let capture;
+					const cmd = range().error((err, val) => {
+						capture = err;
+						return val;
+					});
+					expect(cmd.execute('5 1', 'fwd')).to.equal('fwd');
+					expect(capture).to.be.instanceof(CommandError);
+					expect(capture.command).to.equal(cmd);
+					expect(capture.full_message).to.equal(
+						'Invalid arguments: min must be less than max'
+					);
+				});
+
+				it('Validators run in order and get forwarded values', function() {
+					const calls = [];
+					const cmd = new Command('test')
+						.validate((args, val) => { calls.push(['first', val]); })
+						.validate((args, val) => { calls.push(['second', val]); })
+						.handler(() => calls.push('handler'));
+					cmd.execute([], 'fwd');
+					expect(calls).to.deep.equal([
+						['first', 'fwd'],
+						['second', 'fwd'],
+						'handler',
+					]);
+				});
+
+				it('Validator CommandError passed through as-is', function() {
+					const cmd = new Command('test')
+						.validate(() => { throw new CommandError('nope'); });
+					expect(() => cmd.execute([])).to.throw(CommandError, /^nope$/);
+				});
+
+				it('Handler not called when validator fails (async)', function() {
+					let called = false;
+					const cmd = range()
+						.asynchronous(true)
+						.validate(async () => { called = true; })
+						.validate(async () => { throw new Error('async nope'); })
+						.handler(() => { throw new Error('should not see this'); });
+					return cmd.execute('1 5')
+						.then(() => expect.fail('Execute should have thrown'))
+						.catch(err => {
+							expect(called).to.be.true;
+							expect(err).to.be.instanceof(CommandError);
+							expect(err.command).to.equal(cmd);
+							expect(err.full_message).to.equal(
+								'Invalid arguments: async nope'
+							);
+						});
+				});
+
+				it('Async validator rejected in sync mode', function() {
+					let called = false;
+					const cmd = range()
+						.validate(async args => {
+							if (args.max > 2) throw new Error('too big');
+						})
+						.handler(() => { called = true; });
+					expect(() => cmd.execute('1 5')).to.throw(CommandError,
+						'Validator returned a Promise, but Command is not async'
+					);
+					expect(called).to.be.false;
+				});
+			});
 		});
 
 		// This is where all the fun happens
@@ -839,188 +2428,991 @@ describe('Positional command parser', function() {
 						});
 				});
 
-				it('Error thrown for missing args', function() {
+				it('Error thrown for missing args', function() {
+					try {
+						cmd.parse(['hello']);
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(cmd);
+						expect(err.nested).to.be.undefined;
+						expect(err.full_message).to.equal(
+							'Too few arguments! Missing argument <bbb>'
+						);
+					}
+				});
+
+				it('Error thrown for missing args (async)', function() {
+					return asc.parse(['hello'])
+						.then(() => expect.fail('Parse should have thrown'))
+						.catch(err => {
+							expect(err).to.be.instanceof(CommandError);
+							expect(err.command).to.equal(asc);
+							expect(err.nested).to.be.undefined;
+							expect(err.full_message).to.equal(
+								'Too few arguments! Missing argument <bbb>'
+							);
+						});
+				});
+
+				it('Error thrown for too many args', function() {
+					try {
+						cmd.parse(['hello', 'goodbye', 'things', 'stuff'])
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(cmd);
+						expect(err.nested).to.be.undefined;
+						expect(err.full_message).to.equal(
+							"Too many arguments! Extras: 'things', 'stuff'"
+						);
+					}
+				});
+
+				it('Error thrown for too many args (async)', function() {
+					return asc.parse(['hello', 'goodbye', 'things', 'stuff'])
+						.then(() => expect.fail('Parse should have thrown'))
+						.catch(err => {
+							expect(err).to.be.instanceof(CommandError);
+							expect(err.command).to.equal(asc);
+							expect(err.nested).to.be.undefined;
+							expect(err.full_message).to.equal(
+								"Too many arguments! Extras: 'things', 'stuff'"
+							);
+						});
+				});
+			});
+
+			describe('Multiple argument sets', function() {
+				const cmd = new Command('test')
+					.addArgSet([new Argument('aaa')])
+					.addArgSet([
+						new Argument('bbb'),
+						new Argument('ccc'),
+						new Argument('ddd'),
+					])
+					.addArgSet([
+						new Argument('arg1'),
+						new Argument('arg2'),
+						new Argument('arg3'),
+						new Argument('arg4'),
+					]);
+
+				it('Correct argument set is used', function() {
+					expect(cmd.parse(['stuff'])).to.deep.equal({
+						_: ['stuff'],
+						aaa: 'stuff',
+					});
+					expect(cmd.parse(['hello', '123', 'xyz'])).to.deep.equal({
+						_: ['hello', '123', 'xyz'],
+						bbb: 'hello',
+						ccc: '123',
+						ddd: 'xyz',
+					});
+				});
+
+				it('Error thrown if no argset matches (too few args)', function() {
+					try {
+						cmd.parse([]);
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(cmd);
+						expect(err.nested).to.be.undefined;
+						expect(err.full_message).to.equal(
+							'Wrong number of arguments! Expected 1, got 0\n' +
+							'Usage: test <aaa>'
+						);
+					}
+				});
+
+				it('Error thrown if no argset matches (middle args)', function() {
+					try {
+						cmd.parse(['xx', 'yy']);
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(cmd);
+						expect(err.nested).to.be.undefined;
+						expect(err.full_message).to.equal(
+							'Wrong number of arguments! Expected 1 or 3, got 2\n' +
+							'Usage: test <aaa>\n' +
+							'Usage: test <bbb> <ccc> <ddd>'
+						);
+					}
+				});
+
+				it('Error thrown if no argset matches (too many args)', function() {
+					try {
+						cmd.parse(['xx', 'yy', 'zz', 'ii', 'jj'])
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(cmd);
+						expect(err.nested).to.be.undefined;
+						expect(err.full_message).to.equal(
+							'Wrong number of arguments! Expected 4, got 5\n' +
+							'Usage: test <arg1> <arg2> <arg3> <arg4>'
+						);
+					}
+				});
+
+				it('Error thrown if no argset matches (async)', function() {
+					const asm = new Command('test')
+						.addArgSet([new Argument('aaa')])
+						.addArgSet([
+							new Argument('bbb'),
+							new Argument('ccc'),
+							new Argument('ddd'),
+						])
+						.asynchronous(true);
+					return asm.parse(['xx', 'yy'])
+						.then(() => expect.fail('Parse should have thrown'))
+						.catch(err => {
+							expect(err).to.be.instanceof(CommandError);
+							expect(err.command).to.equal(asm);
+							expect(err.nested).to.be.undefined;
+							expect(err.full_message).to.equal(
+								'Wrong number of arguments! Expected 1 or 3, got 2\n' +
+								'Usage: test <aaa>\n' +
+								'Usage: test <bbb> <ccc> <ddd>'
+							);
+						});
+				});
+			});
+
+			describe('Argument sets with the same length', function() {
+				const cmd = new Command('ban')
+					.addArgSet([new Argument('user'), Argument.duration('time')])
+					.addArgSet([new Argument('user'), Argument.int('days')])
+					.addArgSet([new Argument('user'), new Argument('reason')]);
+
+				const asm = new Command('ban')
+					.addArgSet([new Argument('user'), Argument.duration('time')])
+					.addArgSet([
+						new Argument('user'),
+						new Argument('reason').preprocess(async val => val.toUpperCase()),
+					])
+					.asynchronous(true);
+
+				it('First set that parses is used', function() {
+					expect(cmd.parse(['bob', '1h'])).to.deep.equal({
+						_: ['bob', '1h'],
+						user: 'bob',
+						time: 3600000,
+					});
+					expect(cmd.parse(['bob', '7'])).to.deep.equal({
+						_: ['bob', '7'],
+						user: 'bob',
+						days: 7,
+					});
+					expect(cmd.parse(['bob', 'spam'])).to.deep.equal({
+						_: ['bob', 'spam'],
+						user: 'bob',
+						reason: 'spam',
+					});
+				});
+
+				it('First set that parses is used (async)', function() {
+					return Promise.all([
+						expect(asm.parse(['bob', '1h'])).to.eventually.deep.equal({
+							_: ['bob', '1h'],
+							user: 'bob',
+							time: 3600000,
+						}),
+						expect(asm.parse(['bob', 'spam'])).to.eventually.deep.equal({
+							_: ['bob', 'spam'],
+							user: 'bob',
+							reason: 'SPAM',
+						}),
+					]);
+				});
+
+				it('Error from first set thrown if no set parses', function() {
+					const strict = new Command('ban')
+						.addArgSet([new Argument('user'), Argument.duration('time')])
+						.addArgSet([new Argument('user'), Argument.int('days')]);
+					try {
+						strict.parse(['bob', 'spam']);
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(strict);
+						expect(err.full_message).to.equal(
+							"Bad <time> value 'spam': not a duration (e.g. 1h30m)"
+						);
+					}
+				});
+
+				it('Error from first set thrown if no set parses (async)', function() {
+					const strict = new Command('ban')
+						.addArgSet([new Argument('user'), Argument.duration('time')])
+						.addArgSet([new Argument('user'), Argument.int('days')])
+						.asynchronous(true);
+					return strict.parse(['bob', 'spam'])
+						.then(() => expect.fail('Parse should have thrown'))
+						.catch(err => {
+							expect(err).to.be.instanceof(CommandError);
+							expect(err.command).to.equal(strict);
+							expect(err.full_message).to.equal(
+								"Bad <time> value 'spam': not a duration (e.g. 1h30m)"
+							);
+						});
+				});
+
+				it('Error from set that parsed the most thrown', function() {
+					const move = new Command('move')
+						.addArgSet([Argument.int('id'), Argument.int('pos')])
+						.addArgSet([new Argument('name'), Argument.int('pos')]);
+					expect(() => move.parse(['x', 'y'])).to.throw(
+						CommandError, "Bad <pos> value 'y'"
+					);
+				});
+
+				it('Error from set that parsed the most thrown (async)', function() {
+					const move = new Command('move')
+						.addArgSet([Argument.int('id'), Argument.int('pos')])
+						.addArgSet([new Argument('name'), Argument.int('pos')])
+						.asynchronous(true);
+					return expect(move.parse(['x', 'y'])).to.be.rejectedWith(
+						CommandError, "Bad <pos> value 'y'"
+					);
+				});
+
+				it('Error from set with matching keyword thrown', function() {
+					const called = [];
+					const kv = new Command('kv')
+						.addArgSet([
+							Argument.literal('get'),
+							Argument.int('key').preprocess(val => { called.push(val); }),
+						])
+						.addArgSet([Argument.literal('set'), Argument.int('key')]);
+					expect(() => kv.parse(['set', 'x'])).to.throw(
+						CommandError, "Bad <key> value 'x'"
+					);
+					expect(called).to.be.empty;
+				});
+
+				it('Exact length sets tried before optional sets', function() {
+					const multi = new Command('test')
+						.addArgSet([new Argument('aaa'), new Argument('bbb').optional(true)])
+						.addArgSet([Argument.int('ccc')])
+						.handler(args => args);
+					expect(multi.execute('1')).to.deep.equal({ _: ['1'], ccc: 1 });
+					expect(multi.execute('x')).to.deep.equal({
+						_: ['x'],
+						aaa: 'x',
+						bbb: null,
+					});
+				});
+			});
+
+			describe('Collecting errors', function() {
+				const cmd = new Command('add')
+					.addArgSet([Argument.int('a'), Argument.int('b'), Argument.int('c')])
+					.collectErrors(true);
+
+				const asm = new Command('add')
+					.addArgSet([Argument.int('a'), Argument.int('b'), Argument.int('c')])
+					.collectErrors(true)
+					.asynchronous(true);
+
+				it('All argument errors reported together', function() {
+					try {
+						cmd.parse(['x', '1', 'y', 'z']);
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(cmd);
+						expect(err.errors).to.have.lengthOf(3);
+						expect(err.errors.every(e => e.command === cmd)).to.be.true;
+						expect(err.full_message).to.equal(
+							'Bad arguments! Found 3 problems\n' +
+							"Bad <a> value 'x': not an integer\n" +
+							"Bad <c> value 'y': not an integer\n" +
+							"Too many arguments! Extras: 'z'"
+						);
+					}
+				});
+
+				it('All argument errors reported together (async)', function() {
+					return asm.parse(['x', 'y', '1'])
+						.then(() => expect.fail('Parse should have thrown'))
+						.catch(err => {
+							expect(err).to.be.instanceof(CommandError);
+							expect(err.command).to.equal(asm);
+							expect(err.full_message).to.equal(
+								'Bad arguments! Found 2 problems\n' +
+								"Bad <a> value 'x': not an integer\n" +
+								"Bad <b> value 'y': not an integer"
+							);
+						});
+				});
+
+				it('Single error still combined', function() {
+					try {
+						cmd.parse(['1', '2', 'x']);
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.errors).to.have.lengthOf(1);
+						expect(err.errors[0].command).to.equal(cmd);
+						expect(err.full_message).to.equal(
+							'Bad arguments! Found 1 problem\n' +
+							"Bad <c> value 'x': not an integer"
+						);
+					}
+				});
+
+				it('Only first error reported by default', function() {
+					const first = new Command('add')
+						.addArgSet([Argument.int('a'), Argument.int('b')]);
+					expect(() => first.parse(['x', 'y'])).to.throw(
+						CommandError, "Bad <a> value 'x'"
+					);
+				});
+			});
+
+			describe('Closest argument set', function() {
+
+				it('Error shows ranges for optional and varargs sets', function() {
+					const cmd = new Command('test')
+						.addArgSet([
+							new Argument('aaa'),
+							new Argument('bbb'),
+							new Argument('ccc').optional(true),
+						])
+						.addArgSet([
+							new Argument('ddd'),
+							new Argument('eee'),
+							new Argument('fff'),
+							new Argument('ggg'),
+							new Argument('hhh').varargs(true),
+						]);
+					try {
+						cmd.parse(['x', 'y', 'z', 'w']);
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.full_message).to.equal(
+							'Wrong number of arguments! Expected 2 to 3 or at least 5, got 4\n' +
+							'Usage: test <aaa> <bbb> [ccc]\n' +
+							'Usage: test <ddd> <eee> <fff> <ggg> <hhh_1> [hhh_2] ... [hhh_n]'
+						);
+					}
+				});
+
+				it('Same count only shown once', function() {
+					const cmd = new Command('test')
+						.addArgSet([Argument.literal('get'), new Argument('key')])
+						.addArgSet([Argument.literal('del'), new Argument('key')])
+						.addArgSet([Argument.literal('all')]);
+					expect(() => cmd.parse(['a', 'b', 'c'])).to.throw(
+						CommandError,
+						'Wrong number of arguments! Expected 2, got 3\n' +
+						'Usage: test get <key>\n' +
+						'Usage: test del <key>'
+					);
+				});
+			});
+
+			describe('Varargs argument set', function() {
+				const cmd = new Command('test')
+					.addArgSet([new Argument('var').varargs(true)]);
+
+				const asm = new Command('test')
+					.addArgSet([new Argument('var').varargs(true)])
+					.asynchronous(true);
+
+				it('Varargs can have no arguments', function () {
+					expect(cmd.parse([])).to.deep.equal({
+						_: [],
+						var: [],
+					});
+				});
+
+				it('Varargs can have no arguments (async)', function () {
+					return expect(asm.parse([])).to.eventually.deep.equal({
+						_: [],
+						var: [],
+					});
+				});
+
+				it('Varargs can have many arguments', function() {
+					expect(cmd.parse(['aaa', 'bbb', 'ccc'])).to.deep.equal({
+						_: ['aaa', 'bbb', 'ccc'],
+						var: ['aaa', 'bbb', 'ccc'],
+					});
+				});
+
+				it('Varargs can have many arguments (async)', function() {
+					return expect(asm.parse(['aaa', 'bbb', 'ccc']))
+						.to.eventually.deep.equal({
+							_: ['aaa', 'bbb', 'ccc'],
+							var: ['aaa', 'bbb', 'ccc'],
+						});
+				});
+
+				it('Varargs set used for extra arguments with multiple sets',
+				function() {
+					const multi = new Command('test')
+						.addArgSet([new Argument('first')])
+						.addArgSet([
+							new Argument('first'),
+							new Argument('extras').varargs(true),
+						]);
+					expect(multi.parse(['a', 'b', 'c'])).to.deep.equal({
+						_: ['a', 'b', 'c'],
+						first: 'a',
+						extras: ['b', 'c'],
+					});
+				});
+			});
+
+			describe('Non-final varargs argument set', function() {
+				const cmd = new Command('cp')
+					.addArgSet([
+						new Argument('src').varargs(true),
+						new Argument('dest'),
+					]);
+
+				const asm = new Command('cp')
+					.addArgSet([
+						new Argument('src').varargs(true),
+						new Argument('dest'),
+					])
+					.asynchronous(true);
+
+				it('Arguments after varargs take values from the end', function() {
+					expect(cmd.parse(['a', 'b', 'c', 'dir'])).to.deep.equal({
+						_: ['a', 'b', 'c', 'dir'],
+						src: ['a', 'b', 'c'],
+						dest: 'dir',
+					});
+				});
+
+				it('Arguments after varargs take values from the end (async)',
+				function() {
+					return expect(asm.parse(['a', 'b', 'c', 'dir']))
+						.to.eventually.deep.equal({
+							_: ['a', 'b', 'c', 'dir'],
+							src: ['a', 'b', 'c'],
+							dest: 'dir',
+						});
+				});
+
+				it('Varargs in the middle of set', function() {
+					const tag = new Command('tag')
+						.addArgSet([
+							new Argument('user'),
+							new Argument('tags').varargs(true),
+							new Argument('reason'),
+						]);
+					expect(tag.parse(['bob', 'a', 'b', 'spam'])).to.deep.equal({
+						_: ['bob', 'a', 'b', 'spam'],
+						user: 'bob',
+						tags: ['a', 'b'],
+						reason: 'spam',
+					});
+				});
+
+				it('Rest argument in the middle of set', function() {
+					const note = new Command('note')
+						.addArgSet([
+							new Argument('text').rest(true),
+							new Argument('id'),
+						])
+						.handler(args => args);
+					expect(note.execute('Dear  "diary" 12')).to.deep.equal({
+						_: ['Dear', 'diary', '12'],
+						text: 'Dear  "diary"',
+						id: '12',
+					});
+				});
+
+				it('Error thrown for missing args', function() {
+					try {
+						cmd.parse(['a']);
+						expect.fail('Parse should have thrown');
+					} catch (err) {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.command).to.equal(cmd);
+						expect(err.full_message).to.equal(
+							'Too few arguments! Missing argument <dest>'
+						);
+					}
+				});
+
+				it('Error thrown for missing args (async)', function() {
+					return asm.parse([])
+						.then(() => expect.fail('Parse should have thrown'))
+						.catch(err => {
+							expect(err).to.be.instanceof(CommandError);
+							expect(err.command).to.equal(asm);
+							expect(err.full_message).to.equal(
+								'Too few arguments! Missing argument <dest>'
+							);
+						});
+				});
+
+				it('Usage shows varargs in position', function() {
+					expect(cmd.usage()).to.equal('cp <src_1> [src_2] ... [src_n] <dest>');
+				});
+
+				it('Help shows arguments reserved after varargs', function() {
+					const move = new Command('move')
+						.addArgSet([
+							new Argument('items').varargs(true),
+							Argument.literal('to'),
+							new Argument('dest'),
+						]);
+					expect(move.usage()).to.equal(
+						'move <items_1> [items_2] ... [items_n] to <dest>'
+					);
+					expect(move.help()).to.have.string(
+						'Arguments:\n' +
+						'  <items>  (required, varargs, followed by to <dest>)\n' +
+						'  <dest>   (required)'
+					);
+
+					const note = new Command('note')
+						.addArgSet([
+							new Argument('text').rest(true),
+							new Argument('pos').tuple(['x', 'y']),
+						]);
+					expect(note.usage()).to.equal('note <text...> <pos: x y>');
+					expect(note.help()).to.have.string(
+						'Arguments:\n' +
+						'  <text>  (required, rest of input, followed by <pos: x y>)\n' +
+						'  <pos>   (required, values x y)'
+					);
+				});
+			});
+
+			describe('Varargs counts in set', function() {
+				const cmd = new Command('tag')
+					.addArgSet([new Argument('labels').varargs(true).maxCount(2)])
+					.addArgSet([
+						new Argument('a'),
+						new Argument('b'),
+						new Argument('c'),
+					]);
+
+				it('Later set used past the maximum count', function() {
+					expect(cmd.parse(['x', 'y'])).to.deep.equal({
+						_: ['x', 'y'],
+						labels: ['x', 'y'],
+					});
+					expect(cmd.parse(['x', 'y', 'z'])).to.deep.equal({
+						_: ['x', 'y', 'z'],
+						a: 'x',
+						b: 'y',
+						c: 'z',
+					});
+				});
+
+				it('Error shows count range', function() {
+					expect(() => cmd.parse(['1', '2', '3', '4'])).to.throw(
+						CommandError,
+						'Wrong number of arguments! Expected 3, got 4'
+					);
+					const mv = new Command('mv')
+						.addArgSet([
+							new Argument('src').varargs(true).minCount(2).maxCount(3),
+							new Argument('dest'),
+						])
+						.addArgSet([new Argument('src')]);
+					expect(() => mv.parse(['1', '2'])).to.throw(
+						CommandError,
+						'Wrong number of arguments! Expected 3 to 4 or 1, got 2'
+					);
+				});
+
+				it('Overlapping counts rejected', function() {
+					const limited = (name, max) =>
+						new Argument(name).varargs(true).maxCount(max);
+					expect(() => new Command('tag')
+						.addArgSet([limited('labels', 2)])
+						.addArgSet([new Argument('a'), limited('b', 2)])
+					).to.not.throw();
+					expect(() => new Command('tag')
+						.addArgSet([limited('labels', 3)])
+						.addArgSet([new Argument('a'), limited('b', 2)])
+					).to.throw(SetupError, 'Multiple sets accept 3 arguments');
+				});
+			});
+
+			describe('Literal keywords in set', function() {
+				const called = [];
+				const cmd = new Command('config')
+					.addArgSet([
+						Argument.literal('get'),
+						new Argument('key').preprocess(val => { called.push(val); }),
+					])
+					.addArgSet([Argument.literal('del').ignoreCase(true), new Argument('key')])
+					.addArgSet([
+						Argument.literal('set'),
+						new Argument('key'),
+						new Argument('value'),
+					]);
+
+				const asm = new Command('config')
+					.addArgSet([Argument.literal('get'), new Argument('key')])
+					.addArgSet([Argument.literal('del'), new Argument('key')])
+					.asynchronous(true);
+
+				it('Literal selects argument set and is not stored', function() {
+					expect(cmd.parse(['set', 'a', 'b'])).to.deep.equal({
+						_: ['set', 'a', 'b'],
+						key: 'a',
+						value: 'b',
+					});
+					expect(cmd.parse(['DEL', 'a'])).to.deep.equal({
+						_: ['DEL', 'a'],
+						key: 'a',
+					});
+				});
+
+				it('Literal selects argument set and is not stored (async)',
+				function() {
+					return expect(asm.parse(['del', 'a'])).to.eventually.deep.equal({
+						_: ['del', 'a'],
+						key: 'a',
+					});
+				});
+
+				it('Preprocessors not run for mismatched literal', function() {
+					called.length = 0;
+					cmd.parse(['del', 'a']);
+					expect(called).to.be.empty;
+				});
+
+				it('Error thrown for unknown keyword', function() {
 					try {
-						cmd.parse(['hello']);
+						cmd.parse(['put', 'a']);
 						expect.fail('Parse should have thrown');
 					} catch (err) {
 						expect(err).to.be.instanceof(CommandError);
 						expect(err.command).to.equal(cmd);
-						expect(err.nested).to.be.undefined;
 						expect(err.full_message).to.equal(
-							'Too few arguments! Missing argument <bbb>'
+							"Expected keyword 'get', got 'put'"
 						);
 					}
 				});
 
-				it('Error thrown for missing args (async)', function() {
-					return asc.parse(['hello'])
-						.then(() => expect.fail('Parse should have thrown'))
-						.catch(err => {
-							expect(err).to.be.instanceof(CommandError);
-							expect(err.command).to.equal(asc);
-							expect(err.nested).to.be.undefined;
-							expect(err.full_message).to.equal(
-								'Too few arguments! Missing argument <bbb>'
-							);
-						});
+				it('Error thrown for unknown keyword (async)', function() {
+					return expect(asm.parse(['put', 'a'])).to.be.rejectedWith(
+						CommandError,
+						"Expected keyword 'get', got 'put'"
+					);
 				});
 
-				it('Error thrown for too many args', function() {
-					try {
-						cmd.parse(['hello', 'goodbye', 'things', 'stuff'])
-						expect.fail('Parse should have thrown');
-					} catch (err) {
-						expect(err).to.be.instanceof(CommandError);
-						expect(err.command).to.equal(cmd);
-						expect(err.nested).to.be.undefined;
-						expect(err.full_message).to.equal(
-							"Too many arguments! Extras: 'things', 'stuff'"
-						);
-					}
+				it('Usage shows literals', function() {
+					expect(cmd.usage()).to.equal(
+						'config get <key>\nconfig del <key>\nconfig set <key> <value>'
+					);
 				});
 
-				it('Error thrown for too many args (async)', function() {
-					return asc.parse(['hello', 'goodbye', 'things', 'stuff'])
-						.then(() => expect.fail('Parse should have thrown'))
-						.catch(err => {
-							expect(err).to.be.instanceof(CommandError);
-							expect(err.command).to.equal(asc);
-							expect(err.nested).to.be.undefined;
-							expect(err.full_message).to.equal(
-								"Too many arguments! Extras: 'things', 'stuff'"
-							);
-						});
+				it('Keywords allow several sets with varargs', function() {
+					const tag = new Command('tag')
+						.addArgSet([Argument.literal('add'), new Argument('names').varargs(true)])
+						.addArgSet([Argument.literal('remove'), new Argument('names').varargs(true)]);
+					expect(tag.parse(['remove', 'a', 'b'])).to.deep.equal({
+						_: ['remove', 'a', 'b'],
+						names: ['a', 'b'],
+					});
+				});
+
+				it('Keywords allow varargs set smaller than others', function() {
+					const todo = new Command('todo')
+						.addArgSet([Argument.literal('add'), new Argument('text').varargs(true)])
+						.addArgSet([
+							Argument.literal('move'),
+							new Argument('id'),
+							new Argument('pos'),
+						]);
+					expect(todo.parse(['move', '1', '2'])).to.deep.equal({
+						_: ['move', '1', '2'],
+						id: '1',
+						pos: '2',
+					});
+					expect(todo.parse(['add', 'a', 'b'])).to.deep.equal({
+						_: ['add', 'a', 'b'],
+						text: ['a', 'b'],
+					});
+				});
+
+				it('Same keyword does not tell sets apart', function() {
+					expect(() => new Command('tag')
+						.addArgSet([Argument.literal('add'), new Argument('a').varargs(true)])
+						.addArgSet([Argument.literal('ADD').ignoreCase(true), new Argument('b').varargs(true)])
+					).to.throw(SetupError, 'Multiple sets containing varargs');
 				});
 			});
 
-			describe('Multiple argument sets', function() {
-				const cmd = new Command('test')
-					.addArgSet([new Argument('aaa')])
+			describe('Tuple argument set', function() {
+				const cmd = new Command('tp')
 					.addArgSet([
-						new Argument('bbb'),
-						new Argument('ccc'),
-						new Argument('ddd'),
+						new Argument('player'),
+						new Argument('pos').tuple(['x', 'y', 'z']),
 					])
 					.addArgSet([
-						new Argument('arg1'),
-						new Argument('arg2'),
-						new Argument('arg3'),
-						new Argument('arg4'),
+						new Argument('pos').tuple(['x', 'y', 'z']),
 					]);
 
-				it('Correct argument set is used', function() {
-					expect(cmd.parse(['stuff'])).to.deep.equal({
-						_: ['stuff'],
-						aaa: 'stuff',
+				it('Tuple takes several values', function() {
+					expect(cmd.parse(['bob', '1', '2', '3'])).to.deep.equal({
+						_: ['bob', '1', '2', '3'],
+						player: 'bob',
+						pos: ['1', '2', '3'],
 					});
-					expect(cmd.parse(['hello', '123', 'xyz'])).to.deep.equal({
-						_: ['hello', '123', 'xyz'],
-						bbb: 'hello',
-						ccc: '123',
-						ddd: 'xyz',
+				});
+
+				it('Tuple values count towards set length', function() {
+					expect(cmd.parse(['1', '2', '3'])).to.deep.equal({
+						_: ['1', '2', '3'],
+						pos: ['1', '2', '3'],
 					});
+					expect(() => new Command('test')
+						.addArgSet([new Argument('var').varargs(true)])
+						.addArgSet([new Argument('pos').tuple(['x', 'y'])])
+					).to.throw(SetupError, 'set containing varargs must be largest set');
 				});
 
-				it('Error thrown if no argset matches (too few args)', function() {
-					try {
-						cmd.parse([]);
-						expect.fail('Parse should have thrown');
-					} catch (err) {
-						expect(err).to.be.instanceof(CommandError);
-						expect(err.command).to.equal(cmd);
-						expect(err.nested).to.be.undefined;
-						expect(err.full_message).to.equal(
-							'Wrong number of arguments! See command help for details'
-						);
-					}
+				it('Optional tuple takes all values or none', function() {
+					const opt = new Command('tp')
+						.addArgSet([
+							new Argument('pos').tuple(['x', 'y']).optional(true),
+							new Argument('player'),
+						])
+						.asynchronous(true);
+					return expect(opt.parse(['bob'])).to.eventually.deep.equal({
+						_: ['bob'],
+						pos: null,
+						player: 'bob',
+					});
 				});
 
-				it('Error thrown if no argset matches (middle args)', function() {
-					try {
-						cmd.parse(['xx', 'yy']);
-						expect.fail('Parse should have thrown');
-					} catch (err) {
-						expect(err).to.be.instanceof(CommandError);
-						expect(err.command).to.equal(cmd);
-						expect(err.nested).to.be.undefined;
-						expect(err.full_message).to.equal(
-							'Wrong number of arguments! See command help for details'
-						);
-					}
+				it('Usage shows grouped values', function() {
+					expect(cmd.usage()).to.equal('tp <player> <pos: x y z>\ntp <pos: x y z>');
 				});
+			});
 
-				it('Error thrown if no argset matches (too many args)', function() {
+			describe('Optional arguments in set', function() {
+				const cmd = new Command('give')
+					.addArgSet([
+						new Argument('target').optional(true),
+						new Argument('item'),
+						new Argument('amount'),
+					]);
+
+				const asm = new Command('give')
+					.addArgSet([
+						new Argument('target').optional(true),
+						new Argument('item'),
+						new Argument('amount'),
+					])
+					.asynchronous(true);
+
+				it('Leading optional argument can be given', function() {
+					expect(cmd.parse(['bob', 'apple', '3'])).to.deep.equal({
+						_: ['bob', 'apple', '3'],
+						target: 'bob',
+						item: 'apple',
+						amount: '3',
+					});
+				});
+
+				it('Leading optional argument can be omitted', function() {
+					expect(cmd.parse(['apple', '3'])).to.deep.equal({
+						_: ['apple', '3'],
+						target: null,
+						item: 'apple',
+						amount: '3',
+					});
+				});
+
+				it('Leading optional argument can be omitted (async)', function() {
+					return expect(asm.parse(['apple', '3'])).to.eventually.deep.equal({
+						_: ['apple', '3'],
+						target: null,
+						item: 'apple',
+						amount: '3',
+					});
+				});
+
+				it('Optional arguments filled from left to right', function() {
+					const mid = new Command('test')
+						.addArgSet([
+							new Argument('aaa'),
+							new Argument('bbb').optional(true),
+							new Argument('ccc').optional(true).default('def'),
+							new Argument('ddd'),
+						]);
+					expect(mid.parse(['1', '2', '3'])).to.deep.equal({
+						_: ['1', '2', '3'],
+						aaa: '1',
+						bbb: '2',
+						ccc: 'def',
+						ddd: '3',
+					});
+				});
+
+				it('Separated optional arguments filled from left to right', function() {
+					const sep = new Command('test')
+						.addArgSet([
+							new Argument('aaa').optional(true),
+							new Argument('bbb'),
+							new Argument('ccc').optional(true),
+						]);
+					expect(sep.parse(['1'])).to.deep.equal({
+						_: ['1'],
+						aaa: null,
+						bbb: '1',
+						ccc: null,
+					});
+					expect(sep.parse(['1', '2'])).to.deep.equal({
+						_: ['1', '2'],
+						aaa: '1',
+						bbb: '2',
+						ccc: null,
+					});
+					expect(sep.parse(['1', '2', '3'])).to.deep.equal({
+						_: ['1', '2', '3'],
+						aaa: '1',
+						bbb: '2',
+						ccc: '3',
+					});
+				});
+
+				it('Optional argument filled before varargs', function() {
+					const vset = new Command('test')
+						.addArgSet([
+							new Argument('aaa').optional(true),
+							new Argument('bbb').varargs(true),
+						]);
+					expect(vset.parse(['1'])).to.deep.equal({
+						_: ['1'],
+						aaa: null,
+						bbb: ['1'],
+					});
+					expect(vset.parse(['1', '2', '3'])).to.deep.equal({
+						_: ['1', '2', '3'],
+						aaa: '1',
+						bbb: ['2', '3'],
+					});
+				});
+
+				it('Error thrown for missing args', function() {
 					try {
-						cmd.parse(['xx', 'yy', 'zz', 'ii', 'jj'])
+						cmd.parse(['apple']);
 						expect.fail('Parse should have thrown');
 					} catch (err) {
 						expect(err).to.be.instanceof(CommandError);
 						expect(err.command).to.equal(cmd);
-						expect(err.nested).to.be.undefined;
 						expect(err.full_message).to.equal(
-							'Wrong number of arguments! See command help for details'
+							'Too few arguments! Missing argument <amount>'
 						);
 					}
 				});
 
-				it('Error thrown if no argset matches (async)', function() {
-					const asm = new Command('test')
-						.addArgSet([new Argument('aaa')])
-						.addArgSet([
-							new Argument('bbb'),
-							new Argument('ccc'),
-							new Argument('ddd'),
-						])
-						.asynchronous(true);
-					return asm.parse(['xx', 'yy'])
+				it('Error thrown for missing args (async)', function() {
+					return asm.parse(['apple'])
 						.then(() => expect.fail('Parse should have thrown'))
 						.catch(err => {
 							expect(err).to.be.instanceof(CommandError);
 							expect(err.command).to.equal(asm);
-							expect(err.nested).to.be.undefined;
 							expect(err.full_message).to.equal(
-								'Wrong number of arguments! See command help for details'
+								'Too few arguments! Missing argument <amount>'
 							);
 						});
 				});
-			});
 
-			describe('Varargs argument set', function() {
-				const cmd = new Command('test')
-					.addArgSet([new Argument('var').varargs(true)]);
+				it('Exact argument set preferred over optional set', function() {
+					const multi = new Command('test')
+						.addArgSet([new Argument('aaa'), new Argument('bbb')])
+						.addArgSet([
+							new Argument('ccc').optional(true),
+							new Argument('ddd').optional(true),
+							new Argument('eee'),
+						]);
+					expect(multi.parse(['1', '2'])).to.deep.equal({
+						_: ['1', '2'],
+						aaa: '1',
+						bbb: '2',
+					});
+					expect(multi.parse(['1'])).to.deep.equal({
+						_: ['1'],
+						ccc: null,
+						ddd: null,
+						eee: '1',
+					});
+				});
+			});
 
-				const asm = new Command('test')
-					.addArgSet([new Argument('var').varargs(true)])
-					.asynchronous(true);
+			describe('Rest argument set', function() {
+				const cmd = new Command('note')
+					.addArgSet([new Argument('id')])
+					.addArgSet([new Argument('id'), new Argument('text').rest(true)])
+					.handler(args => args);
+				const cmdreg = new CommandRegistry().add(cmd);
 
-				it('Varargs can have no arguments', function () {
-					expect(cmd.parse([])).to.deep.equal({
-						_: [],
-						var: [],
+				it('Rest argument keeps original formatting', function() {
+					expect(cmd.execute('12   Dear "diary",\n\n  hello  ')).to.deep.equal({
+						_: ['12', 'Dear', 'diary,', 'hello'],
+						id: '12',
+						text: 'Dear "diary",\n\n  hello  ',
 					});
 				});
 
-				it('Varargs can have no arguments (async)', function () {
-					return expect(asm.parse([])).to.eventually.deep.equal({
-						_: [],
-						var: [],
-					});
+				it('Rest argument keeps original formatting (async)', function() {
+					const asm = new Command('note')
+						.addArgSet([new Argument('text').rest(true)])
+						.asynchronous(true)
+						.handler(args => args.text);
+					return expect(asm.execute("it\\'s  'quoted'"))
+						.to.eventually.equal("it\\'s  'quoted'");
 				});
 
-				it('Varargs can have many arguments', function() {
-					expect(cmd.parse(['aaa', 'bbb', 'ccc'])).to.deep.equal({
-						_: ['aaa', 'bbb', 'ccc'],
-						var: ['aaa', 'bbb', 'ccc'],
+				it('Shorter argument set still used', function() {
+					expect(cmd.execute('12')).to.deep.equal({
+						_: ['12'],
+						id: '12',
 					});
 				});
 
-				it('Varargs can have many arguments (async)', function() {
-					return expect(asm.parse(['aaa', 'bbb', 'ccc']))
-						.to.eventually.deep.equal({
-							_: ['aaa', 'bbb', 'ccc'],
-							var: ['aaa', 'bbb', 'ccc'],
-						});
+				it('Rest argument from registry command', function() {
+					expect(cmdreg.execute('note 1 a   b').text).to.equal('a   b');
+				});
+
+				it('Rest argument takes text the tokenizer rejects', function() {
+					expect(cmdreg.execute("note 1 it's fine").text).to.equal("it's fine");
+					expect(cmd.execute('1 "hello  world \n').text)
+						.to.equal('"hello  world \n');
+				});
+
+				it('Rest argument takes text the tokenizer rejects (async)',
+				function() {
+					const cmdreg = new CommandRegistry()
+						.add(new Command('note')
+							.addArgSet([new Argument('text').rest(true)])
+							.handler(args => args.text))
+						.asynchronous(true);
+					return expect(cmdreg.execute("note it's   fine "))
+						.to.eventually.equal("it's   fine ");
+				});
+
+				it('Tokenizer error still thrown outside rest argument', function() {
+					expect(() => cmd.execute("it's")).to.throw(
+						CommandError, "Unterminated quote! Missing closing '"
+					);
+					expect(() => cmdreg.execute("nope it's")).to.throw(
+						CommandError, "Unterminated quote! Missing closing '"
+					);
+					expect(() => new Command('pair')
+						.addArgSet([new Argument('a'), new Argument('b')])
+						.execute("it's fine")
+					).to.throw(CommandError, "Unterminated quote! Missing closing '");
 				});
 			});
 
@@ -1104,6 +3496,40 @@ describe('Positional command parser', function() {
 			expect(cmderr.nested).to.equal(suberr);
 		});
 
+		describe('Highlighting input', function() {
+
+			it('Null without input and span', function() {
+				expect(new CommandError('hello').highlight()).to.be.null;
+			});
+
+			it('Marks the span under the input', function() {
+				const cmderr = new CommandError('hello');
+				cmderr.input = 'add 12 abc';
+				cmderr.span = { start: 7, end: 10 };
+				expect(cmderr.highlight()).to.equal(
+					'add 12 abc\n' +
+					'       ^^^'
+				);
+			});
+
+			it('Only shows the line containing the span', function() {
+				const cmderr = new CommandError('hello');
+				cmderr.input = 'note add\n\tfirst line\nsecond line';
+				cmderr.span = { start: 10, end: 15 };
+				expect(cmderr.highlight()).to.equal(
+					'\tfirst line\n' +
+					'\t^^^^^'
+				);
+			});
+
+			it('Marks at least one character', function() {
+				const cmderr = new CommandError('hello');
+				cmderr.input = 'abc';
+				cmderr.span = { start: 3, end: 3 };
+				expect(cmderr.highlight()).to.equal('abc\n   ^');
+			});
+		});
+
 		describe('Full message', function() {
 
 			it('Just the outer message by default', function() {
@@ -1118,6 +3544,15 @@ describe('Positional command parser', function() {
 				const cmderr2 = new CommandError('hello', new RangeError('goodbye'));
 				expect(cmderr2.full_message).to.equal('hello: goodbye');
 			});
+
+			it('Includes collected errors on separate lines', function() {
+				const cmderr = new CommandError('hello');
+				cmderr.errors = [
+					new CommandError('one', new Error('bad')),
+					new CommandError('two'),
+				];
+				expect(cmderr.full_message).to.equal('hello\none: bad\ntwo');
+			});
 		});
 	});
 
@@ -1148,6 +3583,14 @@ describe('Positional command parser', function() {
 					'handler was [object Object], expected [object Function]'
 				);
 			});
+
+			it('Error thrown for non-function tokenizer', function() {
+				const cmdreg = new CommandRegistry();
+				expect(() => cmdreg.tokenizer('not a function')).to.throw(
+					SetupError,
+					'tokenizer was [object String], expected [object Function]'
+				);
+			});
 		});
 
 		describe('Adding new commands', function() {
@@ -1310,10 +3753,9 @@ describe('Positional command parser', function() {
 				.asynchronous(true);
 
 			const usage =
-				'com1 <arg1>\n' +
-				'com2 <arg2>\n' +
-				'com2 <ver2> <ano>\n' +
-				'help [command]';
+				'com1 - My test command 1\n' +
+				'com2 - Another test command\n' +
+				'help - Generates command help text';
 
 			it('No-op if no help handler defined', function() {
 				expect(cmdreg.help()).to.be.undefined;
@@ -1323,12 +3765,12 @@ describe('Positional command parser', function() {
 				return expect(asmreg.help()).to.eventually.be.undefined;
 			});
 
-			it('Default help handler returns usage string', function() {
+			it('Default help handler returns summary string', function() {
 				cmdreg.helpHandler();
 				expect(cmdreg.help()).to.equal(usage);
 			});
 
-			it('Default help handler returns usage string (async)', function() {
+			it('Default help handler returns summary string (async)', function() {
 				asmreg.helpHandler();
 				return expect(asmreg.help()).to.eventually.equal(usage);
 			});
@@ -1356,20 +3798,197 @@ describe('Positional command parser', function() {
 				return expect(asmreg.execute('help')).to.eventually.equal(usage);
 			});
 
-			it('Can get help for a single command', function() {
-				cmdreg.helpHandler();
-				expect(cmdreg.help('com2')).to.equal(
-					'com2 <arg2>\n' +
-					'com2 <ver2> <ano>'
-				);
-			});
+			const com2_help =
+				'com2 - Another test command\n' +
+				'\n' +
+				'Usage:\n' +
+				'  com2 <arg2>\n' +
+				'  com2 <ver2> <ano>\n' +
+				'\n' +
+				'Arguments:\n' +
+				'  <arg2>  (required)\n' +
+				'  <ver2>  (required)\n' +
+				'  <ano>   (required)';
+
+			it('Can get help for a single command', function() {
+				cmdreg.helpHandler();
+				expect(cmdreg.help('com2')).to.equal(com2_help);
+			});
+
+			it('Can get help for a single command (async)', function() {
+				asmreg.helpHandler();
+				return expect(asmreg.help('com2')).to.eventually.equal(com2_help);
+			});
+
+			describe('Categories and pages', function() {
+
+				const makeRegistry = () => new CommandRegistry()
+					.add(new Command('ban')
+						.category('Moderation')
+						.description('Bans a user\nMore details here')
+					)
+					.add(new Command('ping'))
+					.add(new Command('kick').category('Moderation'))
+					.add(new Command('roll').category('Fun').description('Rolls dice'))
+					.add(new Command('secret').category('Fun').hidden(true))
+					.add(new Command('joke').category('Fun'))
+					.helpHandler();
+
+				it('Commands grouped by category', function() {
+					expect(makeRegistry().help()).to.equal(
+						'Moderation:\n' +
+						'  ban - Bans a user\n' +
+						'  kick\n' +
+						'\n' +
+						'Fun:\n' +
+						'  roll - Rolls dice\n' +
+						'  joke\n' +
+						'\n' +
+						'Other:\n' +
+						'  ping\n' +
+						'  help - Generates command help text'
+					);
+				});
+
+				it('Hidden commands still have detailed help', function() {
+					const cmdreg = makeRegistry();
+					expect(cmdreg.commands.get('secret').is_hidden).to.be.true;
+					expect(cmdreg.help('secret')).to.equal(
+						'secret\n\nUsage:\n  secret'
+					);
+				});
+
+				it('Listing a single category', function() {
+					const cmdreg = makeRegistry();
+					const fun = 'Fun:\n  roll - Rolls dice\n  joke';
+					expect(cmdreg.help('Fun')).to.equal(fun);
+					expect(cmdreg.execute('help fun')).to.equal(fun);
+					expect(cmdreg.help('other')).to.equal(
+						'Other:\n  ping\n  help - Generates command help text'
+					);
+				});
+
+				it('Pages of commands', function() {
+					const cmdreg = makeRegistry().helpHandler(
+						CommandRegistry.createHelpHandler({ page_size: 3 })
+					);
+					expect(cmdreg.help()).to.equal(
+						'Moderation:\n' +
+						'  ban - Bans a user\n' +
+						'  kick\n' +
+						'\n' +
+						'Fun:\n' +
+						'  roll - Rolls dice\n' +
+						'\n' +
+						'Page 1 of 2. Next page: help 2'
+					);
+					expect(cmdreg.help(2)).to.equal(
+						'Fun:\n' +
+						'  joke\n' +
+						'\n' +
+						'Other:\n' +
+						'  ping\n' +
+						'  help - Generates command help text\n' +
+						'\n' +
+						'Page 2 of 2'
+					);
+					expect(cmdreg.execute('help 2')).to.equal(cmdreg.help('2'));
+				});
+
+				it('Pages of a single category', function() {
+					const cmdreg = makeRegistry().helpHandler(
+						CommandRegistry.createHelpHandler({ page_size: 1 })
+					);
+					expect(cmdreg.execute('help fun')).to.equal(
+						'Fun:\n  roll - Rolls dice\n\nPage 1 of 2. Next page: help Fun 2'
+					);
+					expect(cmdreg.execute('help fun 2')).to.equal(
+						'Fun:\n  joke\n\nPage 2 of 2'
+					);
+				});
+
+				it('Pages that do not exist', function() {
+					const cmdreg = makeRegistry();
+					expect(cmdreg.help('2')).to.equal(
+						'Page 2 does not exist! There is 1 page'
+					);
+					expect(cmdreg.execute('help fun 0')).to.equal(
+						'Page 0 does not exist! There is 1 page'
+					);
+					expect(cmdreg.execute('help 2 2')).to.equal(
+						"Unknown command '2 2'"
+					);
+					expect(cmdreg.execute('help fun x')).to.equal(
+						"Unknown command 'fun x'"
+					);
+				});
+
+				it('Pages of commands (async)', function() {
+					const cmdreg = makeRegistry()
+						.helpHandler(CommandRegistry.createHelpHandler({ page_size: 5 }))
+						.asynchronous(true);
+					return expect(cmdreg.execute('help 2')).to.eventually.equal(
+						'Other:\n' +
+						'  help - Generates command help text\n' +
+						'\n' +
+						'Page 2 of 2'
+					);
+				});
+
+				it('Terminal help in columns', function() {
+					const cmdreg = makeRegistry().helpHandler(
+						CommandRegistry.createTerminalHelpHandler({ width: 30 })
+					);
+					expect(cmdreg.help()).to.equal(
+						'Moderation:\n' +
+						'  ban   Bans a user\n' +
+						'  kick\n' +
+						'\n' +
+						'Fun:\n' +
+						'  roll  Rolls dice\n' +
+						'  joke\n' +
+						'\n' +
+						'Other:\n' +
+						'  ping\n' +
+						'  help  Generates command help\n' +
+						'        text'
+					);
+					expect(cmdreg.help('ban')).to.equal(
+						'ban - Bans a user\n' +
+						'      More details here\n' +
+						'\n' +
+						'Usage:\n' +
+						'  ban'
+					);
+				});
+
+				it('Terminal help with colors', function() {
+					const cmdreg = makeRegistry().helpHandler(
+						CommandRegistry.createTerminalHelpHandler({ color: true })
+					);
+					expect(cmdreg.help('fun')).to.equal(
+						'Fun:\n' +
+						'  \x1b[1mroll\x1b[0m  Rolls dice\n' +
+						'  \x1b[1mjoke\x1b[0m'
+					);
+				});
 
-			it('Can get help for a single command (async)', function() {
-				asmreg.helpHandler();
-				return expect(asmreg.help('com2')).to.eventually.equal(
-					'com2 <arg2>\n' +
-					'com2 <ver2> <ano>'
-				);
+				it('Bad terminal options', function() {
+					expect(() => CommandRegistry.createTerminalHelpHandler({ width: -1 }))
+						.to.throw(SetupError, 'width must be a positive integer');
+					expect(() => CommandRegistry.createTerminalHelpHandler({ color: 1 }))
+						.to.throw(
+							SetupError,
+							'color was [object Number], expected [object Boolean]'
+						);
+				});
+
+				it('Bad page size', function() {
+					expect(() => CommandRegistry.createHelpHandler({ page_size: 0 }))
+						.to.throw(SetupError, 'page_size must be a positive integer');
+					expect(() => CommandRegistry.createHelpHandler({ page_size: '5' }))
+						.to.throw(SetupError, 'page_size must be a positive integer');
+				});
 			});
 
 			it('Args forwarded to handler', function() {
@@ -1444,6 +4063,202 @@ describe('Positional command parser', function() {
 			});
 		});
 
+		describe('Rendering', function() {
+
+			const makeRegistry = () => new CommandRegistry()
+				.add(new Command('roll')
+					.category('Fun')
+					.description('Rolls some dice')
+					.addArgSet([
+						Argument.int('sides').description('Sides | faces').min(2),
+						Argument.int('count').optional(true).default(1),
+					])
+					.example('roll 6')
+				)
+				.add(new Command('ping'))
+				.add(new Command('secret').hidden(true));
+
+			it('JSON output', function() {
+				const json = makeRegistry().toJSON();
+				expect(json.commands.map(cmd => cmd.name))
+					.to.deep.equal(['roll', 'ping', 'secret']);
+				expect(json.commands[2].hidden).to.be.true;
+				expect(json.commands[0]).to.deep.equal({
+					name: 'roll',
+					aliases: [],
+					description: 'Rolls some dice',
+					category: 'Fun',
+					hidden: false,
+					path: 'roll',
+					usage: ['roll <sides:int> [count:int=1]'],
+					argsets: [[{
+						name: 'sides',
+						type: 'int',
+						description: 'Sides | faces',
+						optional: false,
+						literal: false,
+						varargs: false,
+						rest: false,
+						tuple: null,
+						min_count: null,
+						max_count: null,
+						min: 2,
+						max: null,
+						default: null,
+					}, {
+						name: 'count',
+						type: 'int',
+						description: null,
+						optional: true,
+						literal: false,
+						varargs: false,
+						rest: false,
+						tuple: null,
+						min_count: null,
+						max_count: null,
+						min: null,
+						max: null,
+						default: 1,
+					}]],
+					examples: ['roll 6'],
+					subcommands: [],
+				});
+				expect(JSON.parse(JSON.stringify(makeRegistry())))
+					.to.deep.equal(json);
+			});
+
+			it('Function defaults given as null in JSON', function() {
+				const cmd = new Command('test').addArgSet([
+					new Argument('when').optional(true).default(() => 'now'),
+				]);
+				expect(cmd.toJSON().argsets[0][0].default).to.be.null;
+			});
+
+			it('Markdown output', function() {
+				expect(makeRegistry().toMarkdown()).to.equal(
+					'## Fun\n' +
+					'\n' +
+					'### roll\n' +
+					'\n' +
+					'Rolls some dice\n' +
+					'\n' +
+					'```\n' +
+					'roll <sides:int> [count:int=1]\n' +
+					'```\n' +
+					'\n' +
+					'| Argument | Description | Details |\n' +
+					'| --- | --- | --- |\n' +
+					'| `<sides>` | Sides \\| faces | int, required, at least 2 |\n' +
+					'| `<count>` |  | int, optional, default 1 |\n' +
+					'\n' +
+					'Examples:\n' +
+					'\n' +
+					'```\n' +
+					'roll 6\n' +
+					'```\n' +
+					'\n' +
+					'## Other\n' +
+					'\n' +
+					'### ping\n' +
+					'\n' +
+					'```\n' +
+					'ping\n' +
+					'```\n'
+				);
+			});
+
+			it('Markdown output without categories', function() {
+				const cmdreg = new CommandRegistry().add(new Command('ping'));
+				expect(cmdreg.toMarkdown()).to.equal('## ping\n\n```\nping\n```\n');
+			});
+
+			it('Man page output', function() {
+				expect(makeRegistry().toManPage({
+					name: 'dice-bot',
+					description: 'Rolls dice',
+				})).to.equal(
+					'.TH "DICE\\-BOT" "1"\n' +
+					'.SH NAME\n' +
+					'dice\\-bot \\- Rolls dice\n' +
+					'.SH FUN\n' +
+					'.SS roll\n' +
+					'Rolls some dice\n' +
+					'.PP\n' +
+					'.nf\n' +
+					'roll <sides:int> [count:int=1]\n' +
+					'.fi\n' +
+					'.TP\n' +
+					'.B <sides>\n' +
+					'Sides | faces (int, required, at least 2)\n' +
+					'.TP\n' +
+					'.B <count>\n' +
+					'(int, optional, default 1)\n' +
+					'.PP\n' +
+					'Examples:\n' +
+					'.RS\n' +
+					'.nf\n' +
+					'roll 6\n' +
+					'.fi\n' +
+					'.RE\n' +
+					'.SH OTHER\n' +
+					'.SS ping\n' +
+					'.PP\n' +
+					'.nf\n' +
+					'ping\n' +
+					'.fi\n'
+				);
+			});
+
+			it('Man page text escaped', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('path').description('.hidden\nC:\\dir'));
+				expect(cmdreg.toManPage({ name: 'x', section: 8 })).to.equal(
+					'.TH "X" "8"\n' +
+					'.SH NAME\n' +
+					'x\n' +
+					'.SH COMMANDS\n' +
+					'.SS path\n' +
+					'\\&.hidden\n' +
+					'C:\\edir\n' +
+					'.PP\n' +
+					'.nf\n' +
+					'path\n' +
+					'.fi\n'
+				);
+			});
+
+			it('Man page quotes escaped', function() {
+				const cmdreg = new CommandRegistry().add(new Command('ping'));
+				expect(cmdreg.toManPage({
+					name: 'my "bot"',
+					description: 'Says "pong"',
+				})).to.have.string(
+					'.TH "MY \\(dqBOT\\(dq" "1"\n' +
+					'.SH NAME\n' +
+					'my \\(dqbot\\(dq \\- Says \\(dqpong\\(dq\n'
+				);
+			});
+
+			it('Markdown table cells escaped', function() {
+				const cmdreg = new CommandRegistry().add(new Command('pick')
+					.addArgSet([new Argument('a|b').description('one | other')])
+				);
+				expect(cmdreg.toMarkdown()).to.have.string(
+					'| `<a\\|b>` | one \\| other | required |'
+				);
+			});
+
+			it('Man page needs a name', function() {
+				expect(() => makeRegistry().toManPage()).to.throw(
+					SetupError,
+					'name was [object Undefined], expected [object String]'
+				);
+				expect(() => makeRegistry().toManPage({ name: '' })).to.throw(
+					SetupError, 'name was empty string'
+				);
+			});
+		});
+
 		describe('Command execution', function() {
 
 			it('Return value from command bubbles up', function() {
@@ -1460,6 +4275,78 @@ describe('Positional command parser', function() {
 					.to.eventually.equal('My cool thing');
 			});
 
+			it('Quoted arguments passed to command', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('say')
+						.addArgSet([new Argument('text')])
+						.handler(args => args.text)
+					);
+				expect(cmdreg.execute('say "hello world"')).to.equal('hello world');
+			});
+
+			it('Error thrown for unterminated quote (async)', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('say').addArgSet([new Argument('text')]))
+					.asynchronous(true);
+				return expect(cmdreg.execute("say 'hello")).to.be.rejectedWith(
+					CommandError,
+					"Unterminated quote! Missing closing '"
+				);
+			});
+
+			it('Error for bad argument highlights input', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('add')
+						.addArgSet([
+							new Argument('a'),
+							new Argument('b').preprocess(() => {
+								throw new Error('not a number');
+							}),
+						])
+					);
+				try {
+					cmdreg.execute('add  12 "a b c"');
+					expect.fail('Execute should have thrown');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.full_message).to.equal(
+						"Bad <b> value 'a b c': not a number"
+					);
+					expect(err.highlight()).to.equal(
+						'add  12 "a b c"\n' +
+						'        ^^^^^^^'
+					);
+				}
+			});
+
+			it('Error for extra arguments highlights input (async)', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('add').addArgSet([new Argument('a')]))
+					.asynchronous(true);
+				return cmdreg.execute('add 1 2 3')
+					.then(() => expect.fail('Execute should have thrown'))
+					.catch(err => {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.highlight()).to.equal(
+							'add 1 2 3\n' +
+							'      ^^^'
+						);
+					});
+			});
+
+			it('No highlight for tokenizers returning strings', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('add').addArgSet([new Argument('a')]))
+					.tokenizer(Command.split);
+				try {
+					cmdreg.execute('add 1 2');
+					expect.fail('Execute should have thrown');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.highlight()).to.be.null;
+				}
+			});
+
 			it('Can provide arg array instead of string', function() {
 				const cmdreg = new CommandRegistry()
 					.add(new Command('com').handler(() => 'Cool stuff'));
@@ -1503,6 +4390,515 @@ describe('Positional command parser', function() {
 			});
 		});
 
+		describe('Custom tokenizer', function() {
+			const commaSplit = string => string.split(',');
+
+			it('Tokenizer used for string input', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('say')
+						.addArgSet([new Argument('text')])
+						.handler(args => args.text)
+					)
+					.tokenizer(commaSplit);
+				expect(cmdreg.execute('say,hello world')).to.equal('hello world');
+			});
+
+			it('Async tokenizer used for string input (async)', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('say')
+						.addArgSet([new Argument('text')])
+						.handler(args => args.text)
+					)
+					.asynchronous(true)
+					.tokenizer(async string => commaSplit(string));
+				return expect(cmdreg.execute('say,hello world'))
+					.to.eventually.equal('hello world');
+			});
+
+			it('Help not affected by tokenizer', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('say').addArgSet([new Argument('text')]))
+					.tokenizer(() => { throw new Error('should not see this'); })
+					.helpHandler();
+				expect(cmdreg.help('say')).to.have.string('say <text>');
+			});
+
+			it('Error thrown in tokenizer bubbles up (async)', function() {
+				const cmdreg = new CommandRegistry()
+					.asynchronous(true)
+					.tokenizer(() => { throw new Error('no splitting today'); });
+				return expect(cmdreg.execute('a b')).to.be.rejectedWith(
+					CommandError,
+					'Failed to split command'
+				);
+			});
+
+			it('New commands inherit tokenizer', function() {
+				const cmd = new Command('test')
+					.addArgSet([new Argument('arg')])
+					.handler(args => args.arg);
+				new CommandRegistry().tokenizer(commaSplit).add(cmd);
+				expect(cmd.execute('a b')).to.equal('a b');
+			});
+
+			it('Tokenizer changes applied recursively to commands', function() {
+				const cmd = new Command('test')
+					.addArgSet([new Argument('arg')])
+					.handler(args => args.arg);
+				new CommandRegistry().add(cmd).tokenizer(commaSplit);
+				expect(cmd.execute('a b')).to.equal('a b');
+			});
+		});
+
+		describe('Subcommands', function() {
+
+			const makeGit = () => new Command('git')
+				.description('Version control')
+				.subcommand(new Command('remote')
+					.description('Manages remotes')
+					.subcommand(new Command('add')
+						.description('Adds a remote')
+						.addArgSet([new Argument('name'), new Argument('url')])
+						.handler((args, msg) => `${msg} ${args.name}=${args.url}`)
+					)
+					.subcommand(new Command('rm')
+						.addArgSet([new Argument('name')])
+						.handler(args => `removed ${args.name}`)
+					)
+				)
+				.subcommand(new Command('status')
+					.handler((args, msg) => `${msg} clean`)
+				);
+
+			it('Dispatch recurses through tokens', function() {
+				const cmdreg = new CommandRegistry().add(makeGit());
+				expect(cmdreg.execute('git remote add origin x.git', 'msg'))
+					.to.equal('msg origin=x.git');
+				expect(cmdreg.execute(['git', 'remote', 'rm', 'origin']))
+					.to.equal('removed origin');
+				expect(cmdreg.execute('git status', 'msg')).to.equal('msg clean');
+			});
+
+			it('Dispatch recurses through tokens (async)', function() {
+				const cmdreg = new CommandRegistry().add(makeGit()).asynchronous(true);
+				return expect(cmdreg.execute('git remote add origin x.git', 'msg'))
+					.to.eventually.equal('msg origin=x.git');
+			});
+
+			it('Async mode and tokenizer applied to subcommands', function() {
+				const git = makeGit();
+				new CommandRegistry()
+					.add(git)
+					.asynchronous(true)
+					.tokenizer(string => string.split(','));
+				const add = git.subcommands.commands.get('remote')
+					.subcommands.commands.get('add');
+				expect(add.is_async).to.be.true;
+				return expect(add.execute('a b,c', 'msg'))
+					.to.eventually.equal('msg a b=c');
+			});
+
+			it('Full path shown in usage and errors', function() {
+				const git = makeGit();
+				const add = git.subcommands.commands.get('remote')
+					.subcommands.commands.get('add');
+				expect(add.path).to.equal('git remote add');
+				expect(add.usage()).to.equal('git remote add <name> <url>');
+				try {
+					git.execute('remote add origin');
+					expect.fail('Expected to throw');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.command).to.equal(add);
+					expect(err.path).to.equal('git remote add');
+					expect(err.message).to.equal(
+						'Too few arguments! Missing argument <url>'
+					);
+					expect(err.full_message).to.equal(
+						'git remote add: Too few arguments! Missing argument <url>'
+					);
+				}
+			});
+
+			it('Top-level commands without subcommands unchanged', function() {
+				const cmd = new Command('add')
+					.addArgSet([new Argument('name'), new Argument('url')]);
+				try {
+					cmd.execute('origin');
+					expect.fail('Expected to throw');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.path).to.be.null;
+					expect(err.full_message).to.equal(
+						'Too few arguments! Missing argument <url>'
+					);
+				}
+			});
+
+			it('Missing and unknown subcommands', function() {
+				const git = makeGit();
+				try {
+					git.execute('');
+					expect.fail('Expected to throw');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.full_message).to.equal(
+						'git: Missing subcommand! Expected one of: remote, status'
+					);
+				}
+				try {
+					git.execute('remote push origin');
+					expect.fail('Expected to throw');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.full_message).to.equal(
+						"git remote: Unknown subcommand 'push'! Expected one of: add, rm"
+					);
+					expect(err.command).to.equal(git.subcommands.commands.get('remote'));
+					expect(err.span).to.deep.equal({ start: 7, end: 11 });
+				}
+			});
+
+			it('Missing subcommands (async)', function() {
+				const git = makeGit().asynchronous(true);
+				return git.execute('')
+					.then(() => expect.fail('Expected to throw'))
+					.catch(err => {
+						expect(err).to.be.instanceof(CommandError);
+						expect(err.path).to.equal('git');
+						expect(err.full_message).to.equal(
+							'git: Missing subcommand! Expected one of: remote, status'
+						);
+					});
+			});
+
+			it('Path shown once when collecting errors', function() {
+				const git = new Command('git')
+					.subcommand(new Command('add')
+						.addArgSet([Argument.int('a'), Argument.int('b')])
+						.collectErrors(true)
+					);
+				try {
+					git.execute('add x y');
+					expect.fail('Expected to throw');
+				} catch (err) {
+					expect(err).to.be.instanceof(CommandError);
+					expect(err.path).to.equal('git add');
+					expect(err.full_message).to.equal(
+						'git add: Bad arguments! Found 2 problems\n' +
+						"Bad <a> value 'x': not an integer\n" +
+						"Bad <b> value 'y': not an integer"
+					);
+				}
+			});
+
+			it('Commands and registries only have one parent', function() {
+				const add = new Command('add');
+				const remote = new Command('remote').subcommand(add);
+				expect(() => new Command('git').subcommand(add)).to.throw(
+					SetupError, "Command 'remote add' was already added to a CommandRegistry"
+				);
+				expect(() => new CommandRegistry().add(remote)).to.not.throw();
+				expect(() => new CommandRegistry().add(remote)).to.throw(
+					SetupError, "Command 'remote' was already added to a CommandRegistry"
+				);
+
+				const registry = new CommandRegistry();
+				new Command('remote').mount(registry);
+				expect(() => new Command('git').mount(registry)).to.throw(
+					SetupError, "registry is already mounted on Command 'remote'"
+				);
+			});
+
+			it('Rejected subcommand leaves no subcommands', function() {
+				const add = new Command('add');
+				new Command('remote').subcommand(add);
+				const git = new Command('git');
+				expect(() => git.subcommand(add)).to.throw(SetupError);
+				expect(git.subcommands).to.be.null;
+			});
+
+			it('Subcommand errors passed to parent error handler', function() {
+				const git = makeGit().error((err, msg) => `${msg} ${err.full_message}`);
+				expect(git.execute('remote add origin', 'msg')).to.equal(
+					'msg git remote add: Too few arguments! Missing argument <url>'
+				);
+				expect(git.execute('remote', 'msg')).to.equal(
+					'msg git remote: Missing subcommand! Expected one of: add, rm'
+				);
+			});
+
+			it('Subcommand errors passed to parent error handler (async)', function() {
+				const git = makeGit()
+					.asynchronous(true)
+					.error((err, msg) => `${msg} ${err.full_message}`);
+				return expect(git.execute('remote add origin', 'msg'))
+					.to.eventually.equal(
+						'msg git remote add: Too few arguments! Missing argument <url>'
+					);
+			});
+
+			it('Subcommand error handler used before parent', function() {
+				const git = new Command('git')
+					.error(() => 'parent')
+					.subcommand(new Command('add')
+						.addArgSet([new Argument('name')])
+						.error(() => 'child')
+					);
+				expect(git.execute('add')).to.equal('child');
+			});
+
+			it('Parent handles parts that are not subcommands', function() {
+				const cmd = new Command('remote')
+					.addArgSet([new Argument('name').optional(true)])
+					.handler(args => `show ${args.name}`)
+					.subcommand(new Command('add').handler(() => 'add'));
+				expect(cmd.execute('add')).to.equal('add');
+				expect(cmd.execute('origin')).to.equal('show origin');
+				expect(cmd.execute('')).to.equal('show null');
+			});
+
+			it('Mounted registry handlers', function() {
+				const remotes = new CommandRegistry()
+					.add(new Command('add').description('Adds a remote'))
+					.defaultHandler((parts, msg) => `${msg} ${parts.join(' ')}`)
+					.helpHandler();
+				const git = new Command('git')
+					.subcommand(new Command('remote').mount(remotes));
+				expect(git.execute('remote push origin', 'msg'))
+					.to.equal('msg push origin');
+				expect(git.execute('remote help add')).to.have.string(
+					'git remote add - Adds a remote'
+				);
+			});
+
+			it('Bad subcommands', function() {
+				expect(() => new Command('test').subcommand({})).to.throw(
+					SetupError,
+					'command was [object Object], expected [object Command]'
+				);
+				expect(() => new Command('test')
+					.subcommand(new Command('a'))
+					.subcommand(new Command('a'))
+				).to.throw(SetupError, "Defined duplicate command 'a'");
+				expect(() => new Command('test').mount({})).to.throw(
+					SetupError,
+					'registry was [object Object], expected [object CommandRegistry]'
+				);
+				expect(() => new Command('test')
+					.subcommand(new Command('a'))
+					.mount(new CommandRegistry())
+				).to.throw(SetupError, "Command 'test' already has subcommands");
+			});
+
+			it('Help shows the tree', function() {
+				const cmdreg = new CommandRegistry().add(makeGit()).helpHandler();
+				expect(cmdreg.help()).to.equal(
+					'git - Version control\n' +
+					'  remote - Manages remotes\n' +
+					'    add - Adds a remote\n' +
+					'    rm\n' +
+					'  status\n' +
+					'help - Generates command help text'
+				);
+				expect(cmdreg.help('git')).to.equal(
+					'git - Version control\n' +
+					'\n' +
+					'Usage:\n' +
+					'  git\n' +
+					'\n' +
+					'Subcommands:\n' +
+					'  remote  Manages remotes\n' +
+					'    add   Adds a remote\n' +
+					'    rm\n' +
+					'  status'
+				);
+				expect(cmdreg.execute('help git remote add')).to.equal(
+					'git remote add - Adds a remote\n' +
+					'\n' +
+					'Usage:\n' +
+					'  git remote add <name> <url>\n' +
+					'\n' +
+					'Arguments:\n' +
+					'  <name>  (required)\n' +
+					'  <url>   (required)'
+				);
+				expect(cmdreg.help('git push')).to.equal("Unknown command 'git push'");
+			});
+
+			it('Subcommands in rendered output', function() {
+				const cmdreg = new CommandRegistry().add(makeGit());
+				const json = cmdreg.toJSON();
+				expect(json.commands[0].subcommands.map(cmd => cmd.path))
+					.to.deep.equal(['git remote', 'git status']);
+				expect(json.commands[0].subcommands[0].subcommands[0].usage)
+					.to.deep.equal(['git remote add <name> <url>']);
+				expect(cmdreg.toMarkdown()).to.have.string(
+					'## git remote add\n\nAdds a remote\n'
+				);
+				expect(cmdreg.toManPage({ name: 'git' })).to.have.string(
+					'.SS git remote add\nAdds a remote\n'
+				);
+			});
+		});
+
+		describe('Aliases', function() {
+
+			const makeRegistry = () => new CommandRegistry()
+				.add(new Command('remove')
+					.description('Removes a file')
+					.alias('rm', 'del')
+					.addArgSet([new Argument('file')])
+					.handler((args, msg) => `${msg} removed ${args.file}`)
+				)
+				.add(new Command('list').handler(() => 'listed'))
+				.helpHandler();
+
+			it('Aliases dispatch to the same command', function() {
+				const cmdreg = makeRegistry();
+				expect(cmdreg.execute('remove a.txt', 'msg')).to.equal('msg removed a.txt');
+				expect(cmdreg.execute('rm a.txt', 'msg')).to.equal('msg removed a.txt');
+				expect(cmdreg.execute('del a.txt', 'msg')).to.equal('msg removed a.txt');
+				expect(cmdreg.commands.get('remove').aliases)
+					.to.deep.equal(['rm', 'del']);
+				expect(cmdreg.commands.has('rm')).to.be.false;
+			});
+
+			it('Aliases dispatch to the same command (async)', function() {
+				const cmdreg = makeRegistry().asynchronous(true);
+				return expect(cmdreg.execute('rm a.txt', 'msg'))
+					.to.eventually.equal('msg removed a.txt');
+			});
+
+			it('Alias collisions rejected', function() {
+				expect(() => makeRegistry().add(new Command('rm'))).to.throw(
+					SetupError,
+					"Command name 'rm' already used as an alias of command 'remove'"
+				);
+				expect(() => makeRegistry().add(new Command('ls').alias('list')))
+					.to.throw(SetupError, "Alias 'list' already used by command 'list'");
+				expect(() => makeRegistry().add(new Command('x').alias('del')))
+					.to.throw(SetupError, "Alias 'del' already used by command 'remove'");
+				expect(() => makeRegistry().add(new Command('list'))).to.throw(
+					SetupError, "Defined duplicate command 'list'"
+				);
+			});
+
+			it('Aliases added after registering are checked', function() {
+				const cmdreg = makeRegistry();
+				const list = cmdreg.commands.get('list');
+				expect(() => list.alias('rm')).to.throw(
+					SetupError, "Alias 'rm' already used by command 'remove'"
+				);
+				expect(list.aliases).to.deep.equal([]);
+				list.alias('ls');
+				expect(cmdreg.execute('ls')).to.equal('listed');
+			});
+
+			it('Aliases shown in help once', function() {
+				const cmdreg = makeRegistry();
+				expect(cmdreg.help()).to.equal(
+					'remove (rm, del) - Removes a file\n' +
+					'list\n' +
+					'help - Generates command help text'
+				);
+				expect(cmdreg.help('rm')).to.equal(
+					'remove - Removes a file\n' +
+					'\n' +
+					'Usage:\n' +
+					'  remove <file>\n' +
+					'\n' +
+					'Aliases:\n' +
+					'  rm, del\n' +
+					'\n' +
+					'Arguments:\n' +
+					'  <file>  (required)'
+				);
+				expect(cmdreg.toMarkdown()).to.have.string(
+					'## remove\n\nRemoves a file\n\nAliases: `rm`, `del`\n'
+				);
+				expect(cmdreg.toJSON().commands[0].aliases)
+					.to.deep.equal(['rm', 'del']);
+			});
+
+			it('Subcommand aliases', function() {
+				const git = new Command('git')
+					.subcommand(new Command('remote')
+						.alias('r')
+						.subcommand(new Command('remove').alias('rm').handler(() => 'gone'))
+					);
+				const cmdreg = new CommandRegistry().add(git).helpHandler();
+				expect(cmdreg.execute('git r rm')).to.equal('gone');
+				expect(cmdreg.help('git r rm')).to.equal(
+					'git remote remove\n' +
+					'\n' +
+					'Usage:\n' +
+					'  git remote remove\n' +
+					'\n' +
+					'Aliases:\n' +
+					'  rm'
+				);
+				expect(cmdreg.help('git')).to.have.string(
+					'Subcommands:\n' +
+					'  remote (r)\n' +
+					'    remove (rm)'
+				);
+			});
+		});
+
+		describe('Usage style', function() {
+
+			const style = { required: ['{', '}'], optional: ['', '?'] };
+
+			it('Commands keep their own style by default', function() {
+				const cmd = new Command('get')
+					.addArgSet([new Argument('key')])
+					.usageStyle(style);
+				const cmdreg = new CommandRegistry().add(cmd);
+				expect(cmdreg.usage_style).to.be.null;
+				expect(cmd.usage()).to.equal('get {key}');
+			});
+
+			it('Style applied to existing and new commands', function() {
+				const cmd1 = new Command('get')
+					.addArgSet([new Argument('key'), new Argument('def').optional(true)]);
+				const cmd2 = new Command('del').addArgSet([new Argument('key')]);
+				const cmdreg = new CommandRegistry()
+					.add(cmd1)
+					.usageStyle(style)
+					.add(cmd2)
+					.helpHandler();
+				expect(cmd1.usage()).to.equal('get {key} def?');
+				expect(cmd2.usage()).to.equal('del {key}');
+				expect(cmdreg.help('help')).to.have.string(
+					'Usage:\n  help command...?'
+				);
+				expect(cmdreg.usage_style.required).to.deep.equal(['{', '}']);
+			});
+
+			it('Style applied to subcommands added later', function() {
+				const git = new Command('git');
+				new CommandRegistry().usageStyle({ uppercase: true }).add(git);
+				const remote = new Command('remote');
+				git.subcommand(new Command('clone').addArgSet([new Argument('url')]))
+					.subcommand(remote);
+				remote.subcommand(new Command('add').addArgSet([new Argument('name')]));
+				expect(git.subcommands.commands.get('clone').usage())
+					.to.equal('git clone <URL>');
+				expect(remote.subcommands.commands.get('add').usage())
+					.to.equal('git remote add <NAME>');
+			});
+
+			it('Style used in argument errors', function() {
+				const cmdreg = new CommandRegistry()
+					.add(new Command('get').addArgSet([new Argument('key')]))
+					.usageStyle(style);
+				expect(() => cmdreg.execute('get')).to.throw(
+					CommandError, 'Too few arguments! Missing argument {key}'
+				);
+			});
+		});
+
 		describe('Switching async mode', function() {
 
 			it('New commands inherit async setting', function() {